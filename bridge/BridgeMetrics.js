@@ -16,6 +16,7 @@ export class BridgeMetrics extends PrometheusMetrics {
     this.bridgeRequests = new client.Counter({
       name: `${this.metricsPrefixName}_requests_total`,
       help: `Total requests received by ${this.metricsPrefixName}`,
+      labelNames: ["client"],
     });
 
     this.bridgeErrors = new client.Counter({
@@ -23,6 +24,54 @@ export class BridgeMetrics extends PrometheusMetrics {
       help: `Total errors occurred in ${this.metricsPrefixName}`,
     });
 
+    this.authRejections = new client.Counter({
+      name: `${this.metricsPrefixName}_auth_rejections_total`,
+      help: "Total requests rejected by the API key check, by reason",
+      labelNames: ["reason"],
+    });
+
+    this.rateLimited = new client.Counter({
+      name: `${this.metricsPrefixName}_rate_limited_total`,
+      help: "Total requests rejected by the client rate limit",
+      labelNames: ["client"],
+    });
+
+    this.queueDepth = new client.Gauge({
+      name: `${this.metricsPrefixName}_queue_depth`,
+      help: "Requests waiting for a model slot",
+      labelNames: ["model"],
+    });
+
+    this.queueActive = new client.Gauge({
+      name: `${this.metricsPrefixName}_queue_active`,
+      help: "Requests holding a model slot",
+      labelNames: ["model"],
+    });
+
+    this.queueWait = new client.Histogram({
+      name: `${this.metricsPrefixName}_queue_wait_seconds`,
+      help: "Wait time for a model slot",
+      labelNames: ["model"],
+      buckets: [0, 0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+    });
+
+    this.queueRejections = new client.Counter({
+      name: `${this.metricsPrefixName}_queue_rejections_total`,
+      help: "Total requests rejected by the model queue (queue_full, queue_timeout)",
+      labelNames: ["model", "reason"],
+    });
+
+    this.cacheLookups = new client.Counter({
+      name: `${this.metricsPrefixName}_cache_lookups_total`,
+      help: "Total response cache lookups, by result (hit, miss, bypass)",
+      labelNames: ["model", "result"],
+    });
+
+    this.cacheEntries = new client.Gauge({
+      name: `${this.metricsPrefixName}_cache_entries`,
+      help: "Answers in the in-memory response cache",
+    });
+
     this.bridgeLatency = new client.Histogram({
       name: `${this.metricsPrefixName}_request_latency_seconds`,
       help: `${this.metricsPrefixName} response time`,
@@ -34,47 +83,224 @@ export class BridgeMetrics extends PrometheusMetrics {
       help: `${this.metricsPrefixName} health status (1 = healthy, 0 = failed last check)`,
     });
 
+    this.contextTrims = new client.Counter({
+      name: `${this.metricsPrefixName}_context_trims_total`,
+      help: "Conversations trimmed to fit the model context, by model and strategy",
+      labelNames: ["model", "strategy"],
+    });
+
+    this.contextTrimmedTokens = new client.Counter({
+      name: `${this.metricsPrefixName}_context_trimmed_tokens_total`,
+      help: "Estimated tokens trimmed from the conversations to fit the model context",
+      labelNames: ["model", "strategy"],
+    });
+
     this.mcpRequests = new client.Counter({
       name: `${this.metricsPrefixName}_mcp_requests_total`,
-      help: "Total calls made to the MCP Server",
+      help: "Total tool calls made to the MCP servers",
+      labelNames: ["server"],
     });
 
     this.mcpLatency = new client.Histogram({
       name: `${this.metricsPrefixName}_mcp_latency_seconds`,
-      help: "MCP Server Response Time",
+      help: "MCP server tool call response time",
+      labelNames: ["server"],
+    });
+
+    this.mcpToolLatency = new client.Histogram({
+      name: `${this.metricsPrefixName}_mcp_tool_latency_seconds`,
+      help: "MCP tool call response time, by server and tool (timed out calls included)",
+      labelNames: ["server", "tool"],
     });
 
     this.mcpErrors = new client.Counter({
       name: `${this.metricsPrefixName}_mcp_errors_total`,
-      help: "Total errors occurred when calling the MCP Server",
+      help: "Total failed tool calls of the MCP servers",
+      labelNames: ["server"],
+    });
+
+    this.mcpServerUp = new client.Gauge({
+      name: `${this.metricsPrefixName}_mcp_server_up`,
+      help: "MCP server health (1 = last call reached it, 0 = unreachable or failing)",
+      labelNames: ["server"],
+    });
+
+    this.mcpSteps = new client.Counter({
+      name: `${this.metricsPrefixName}_mcp_steps_total`,
+      help: "Total MCP tool loop steps (LLM tool call rounds)",
+    });
+
+    this.mcpLoopSteps = new client.Histogram({
+      name: `${this.metricsPrefixName}_mcp_loop_steps`,
+      help: "MCP tool loop steps per request, by stop reason",
+      labelNames: ["reason"],
+      buckets: [1, 2, 3, 4, 5, 6, 8, 10, 15, 20],
+    });
+
+    this.mcpInvalidCalls = new client.Counter({
+      name: `${this.metricsPrefixName}_mcp_invalid_calls_total`,
+      help: "MCP tool calls with arguments not matching the tool schema (not run), by tool and model",
+      labelNames: ["tool", "model"],
+    });
+
+    this.mcpResultsShaped = new client.Counter({
+      name: `${this.metricsPrefixName}_mcp_results_shaped_total`,
+      help: "MCP tool results cut down for the LLM context, by tool and method (rows, truncated, summarized)",
+      labelNames: ["tool", "method"],
+    });
+
+    this.mcpApprovals = new client.Counter({
+      name: `${this.metricsPrefixName}_mcp_approvals_total`,
+      help: "MCP tool calls which change something, by tool and decision (requested, approved, expired, refused)",
+      labelNames: ["tool", "decision"],
     });
 
     this.ollamaRequests = new client.Counter({
       name: `${this.metricsPrefixName}_ollama_requests_total`,
-      help: "Total calls made to Ollama",
+      help: "Total calls made to the LLM backends (Ollama, OpenAI compatible)",
+      labelNames: ["model", "backend"],
     });
 
     this.ollamaLatency = new client.Histogram({
       name: `${this.metricsPrefixName}_ollama_latency_seconds`,
-      help: "Ollama response time",
+      help: "LLM backend response time",
+      labelNames: ["model", "backend"],
       buckets: [0.5, 1, 2, 5, 10, 30, 60, 120, 180, 300, 600],
     });
 
     this.ollamaErrors = new client.Counter({
       name: `${this.metricsPrefixName}_ollama_errors_total`,
-      help: "Total errors occurred in the call to Ollama",
+      help: "Total errors occurred in the call to the LLM backends",
+      labelNames: ["model", "backend"],
+    });
+
+    this.llmRetries = new client.Counter({
+      name: `${this.metricsPrefixName}_llm_retries_total`,
+      help: "LLM calls retried after a transient error",
+      labelNames: ["backend", "model"],
+    });
+
+    this.llmFallbacks = new client.Counter({
+      name: `${this.metricsPrefixName}_llm_fallbacks_total`,
+      help: "LLM calls answered by a fallback model, or tried with it",
+      labelNames: ["model", "fallback"],
+    });
+
+    this.llmBreakerState = new client.Gauge({
+      name: `${this.metricsPrefixName}_llm_breaker_state`,
+      help: "LLM backend circuit breaker state (0 closed, 1 half open, 2 open)",
+      labelNames: ["backend"],
+    });
+
+    this.promptTokens = new client.Counter({
+      name: `${this.metricsPrefixName}_prompt_tokens_total`,
+      help: "Total prompt tokens processed by the LLM",
+      labelNames: ["model", "client"],
+    });
+
+    this.completionTokens = new client.Counter({
+      name: `${this.metricsPrefixName}_completion_tokens_total`,
+      help: "Total completion tokens generated by the LLM",
+      labelNames: ["model", "client"],
+    });
+
+    this.reasoningTokens = new client.Counter({
+      name: `${this.metricsPrefixName}_reasoning_tokens_total`,
+      help: "Completion tokens spent on reasoning (<think> blocks, estimated)",
+      labelNames: ["model", "client"],
+    });
+
+    this.tokensPerSecond = new client.Histogram({
+      name: `${this.metricsPrefixName}_tokens_per_second`,
+      help: "LLM generation speed (completion tokens per second)",
+      labelNames: ["model"],
+      buckets: [1, 2, 5, 10, 15, 20, 30, 50, 75, 100, 200],
+    });
+
+    this.directives = new client.Counter({
+      name: `${this.metricsPrefixName}_directives_total`,
+      help: "Chat message #directives applied, by directive",
+      labelNames: ["directive"],
+    });
+
+    this.promptTemplates = new client.Counter({
+      name: `${this.metricsPrefixName}_prompt_templates_total`,
+      help: "Chat requests given a system prompt template, by template",
+      labelNames: ["template"],
+    });
+
+    this.owaspFindings = new client.Counter({
+      name: `${this.metricsPrefixName}_owasp_findings_total`,
+      help: "Total OWASP guard rule findings, by rule and action",
+      labelNames: ["rule", "action"],
     });
 
     this.registerMetric(this.bridgeRequests);
     this.registerMetric(this.bridgeErrors);
+    this.registerMetric(this.authRejections);
+    this.registerMetric(this.rateLimited);
+    this.registerMetric(this.queueDepth);
+    this.registerMetric(this.queueActive);
+    this.registerMetric(this.queueWait);
+    this.registerMetric(this.queueRejections);
+    this.registerMetric(this.cacheLookups);
+    this.registerMetric(this.cacheEntries);
     this.registerMetric(this.bridgeLatency);
     this.registerMetric(this.bridgeHealth);
+    this.registerMetric(this.contextTrims);
+    this.registerMetric(this.contextTrimmedTokens);
     this.registerMetric(this.mcpRequests);
     this.registerMetric(this.mcpLatency);
+    this.registerMetric(this.mcpToolLatency);
     this.registerMetric(this.mcpErrors);
+    this.registerMetric(this.mcpServerUp);
+    this.registerMetric(this.mcpSteps);
+    this.registerMetric(this.mcpLoopSteps);
+    this.registerMetric(this.mcpInvalidCalls);
+    this.registerMetric(this.mcpResultsShaped);
+    this.registerMetric(this.mcpApprovals);
     this.registerMetric(this.ollamaRequests);
     this.registerMetric(this.ollamaLatency);
     this.registerMetric(this.ollamaErrors);
+    this.registerMetric(this.llmRetries);
+    this.registerMetric(this.llmFallbacks);
+    this.registerMetric(this.llmBreakerState);
+    this.registerMetric(this.promptTokens);
+    this.registerMetric(this.completionTokens);
+    this.registerMetric(this.reasoningTokens);
+    this.registerMetric(this.tokensPerSecond);
+    this.registerMetric(this.directives);
+    this.registerMetric(this.promptTemplates);
+    this.registerMetric(this.owaspFindings);
+  }
+
+  /**
+   * Token usage metrics
+   * @param {string} model model name
+   * @param {JSON} usage OpenAI usage ({ prompt_tokens, completion_tokens })
+   * @param {number} [evalDuration] generation time (nanoseconds)
+   * @param {string} [clientName] bridge client name
+   */
+  observeUsage(model, usage = {}, evalDuration = 0, clientName = "anonymous") {
+    const labels = { model, client: clientName };
+    if (usage.prompt_tokens) {
+      this.promptTokens.inc(labels, usage.prompt_tokens);
+    }
+    if (usage.completion_tokens) {
+      this.completionTokens.inc(labels, usage.completion_tokens);
+      if (usage.completion_tokens_details?.reasoning_tokens) {
+        this.reasoningTokens.inc(
+          labels,
+          usage.completion_tokens_details.reasoning_tokens
+        );
+      }
+      if (evalDuration > 0) {
+        this.tokensPerSecond.observe(
+          { model },
+          usage.completion_tokens / (evalDuration / 1e9)
+        );
+      }
+    }
   }
 
   /**
@@ -2,18 +2,44 @@ import { TempoTracer } from "./helpers/TempoTracer.js";
 import { LokiLogger } from "./helpers/LokiLogger.js";
 import { PyroscopeProfiler } from "./helpers/PyroscopeProfiler.js";
 import { BridgeMetrics } from "./BridgeMetrics.js";
-import { OllamaHelper } from "./helpers/OllamaHelper.js";
-import { GrafanaMcp } from "./helpers/GrafanaMcp.js";
+import { LlmRouter } from "./helpers/LlmRouter.js";
+import { McpRouter } from "./helpers/McpRouter.js";
+import { ModelCatalog } from "./helpers/ModelCatalog.js";
+import { OpenAIError } from "./helpers/OpenAIError.js";
+import { OwaspGuard } from "./helpers/OwaspGuard.js";
+import { ApiKeyStore } from "./helpers/ApiKeyStore.js";
+import { RateLimiter } from "./helpers/RateLimiter.js";
+import { RequestQueue, PRIORITY } from "./helpers/RequestQueue.js";
+import { ResponseCache } from "./helpers/ResponseCache.js";
+import { FailoverPolicy } from "./helpers/FailoverPolicy.js";
+import { REASONING_MODES } from "./helpers/ReasoningParser.js";
+import { PromptTemplates } from "./helpers/PromptTemplates.js";
+import { DirectiveRegistry } from "./helpers/DirectiveRegistry.js";
+import { ToolApprovals } from "./helpers/ToolApprovals.js";
+import { ToolResults } from "./helpers/ToolResults.js";
+import { ContextWindow } from "./helpers/ContextWindow.js";
+import {
+  estimateMessagesTokens,
+  estimateTokens,
+} from "./helpers/TokenHelper.js";
+import { trace } from "@opentelemetry/api";
 
 /**
  * Bridge Service
- * Grafana OSS and Ollama LLM integration specialized class
+ * Grafana OSS and LLM backends (Ollama, OpenAI compatible) integration specialized class
  */
 export class BridgeService {
   /**
    * @param {object} options
    * @param {string} [options.serviceName] - service name
-   * @param {string} [options.apiKey] - system prompt path (.mdc)
+   * @param {string} [options.apiKey] - legacy shared API key ("default" client)
+   * @param {string} [options.keysFile] - API keys file (named clients)
+   * @param {number} [options.mcpMaxSteps] - MCP tool loop max steps
+   * @param {number} [options.mcpTimeBudget] - MCP tool loop time budget (seconds)
+   * @param {number} [options.mcpRepairRetries] - MCP tool loop rounds allowed to fix invalid tool arguments
+   * @param {number} [options.contextLength] - model context length when the backend can't tell (tokens)
+   * @param {string} [options.reasoning] - default reasoning mode (see REASONING_MODES)
+   * @param {string} [options.promptsDir] - system prompts directory (.mdc)
    */
   constructor(options = {}) {
     this.config = {
@@ -22,7 +48,28 @@ export class BridgeService {
         process.env.LLM_BRIDGE_SERVICE_NAME ||
         "llm-bridge",
       apiKey: options.apiKey || process.env.LLM_BRIDGE_API_KEY,
+      keysFile: options.keysFile || process.env.LLM_BRIDGE_KEYS_FILE,
+      mcpMaxSteps: Number(
+        options.mcpMaxSteps || process.env.LLM_BRIDGE_MCP_MAX_STEPS || 5
+      ),
+      mcpTimeBudget: Number(
+        options.mcpTimeBudget || process.env.LLM_BRIDGE_MCP_TIME_BUDGET || 120
+      ),
+      mcpRepairRetries: Number(
+        options.mcpRepairRetries ||
+          process.env.LLM_BRIDGE_MCP_REPAIR_RETRIES ||
+          2
+      ),
+      contextLength: Number(
+        options.contextLength || process.env.LLM_BRIDGE_CONTEXT_LENGTH || 4096
+      ),
+      reasoning:
+        options.reasoning || process.env.LLM_BRIDGE_REASONING || "separate",
+      promptsDir: options.promptsDir || process.env.LLM_BRIDGE_PROMPTS_DIR,
     };
+    if (!REASONING_MODES.includes(this.config.reasoning)) {
+      throw new Error(`unknown reasoning mode '${this.config.reasoning}'`);
+    }
 
     this.logger = new LokiLogger(this.config.serviceName, {
       level: process.env.LLM_BRIDGE_LOG_LEVEL,
@@ -31,11 +78,112 @@ export class BridgeService {
     this.profiler = new PyroscopeProfiler({ appName: this.config.serviceName });
     this.tracer = null; // see init()
 
-    this.ollama = new OllamaHelper({
+    this.llm = new LlmRouter({
+      logLevel: process.env.LLM_BRIDGE_LOG_LEVEL,
+    });
+
+    this.models = new ModelCatalog();
+
+    this.keys = new ApiKeyStore({
+      apiKey: this.config.apiKey,
+      keysFile: this.config.keysFile,
+      aliases: this.models.aliases,
+      logLevel: process.env.LLM_BRIDGE_LOG_LEVEL,
+    });
+
+    this.limiter = new RateLimiter();
+
+    this.queue = new RequestQueue({
+      onChange: (model, { active, waiting }) => {
+        this.metrics.queueActive.set({ model }, active);
+        this.metrics.queueDepth.set({ model }, waiting);
+      },
+      onWait: (model, seconds) => {
+        this.metrics.queueWait.observe({ model }, seconds);
+      },
+      onReject: (model, reason) => {
+        this.metrics.queueRejections.inc({ model, reason });
+      },
+    });
+
+    this.failover = new FailoverPolicy({
+      aliases: this.models.aliases,
+      onRetry: (backend, model, err) => {
+        this.metrics.llmRetries.inc({ backend, model });
+        this.logger.warn("[bridge] LLM call retried", {
+          backend,
+          model,
+          error: err.message,
+        });
+      },
+      onBreaker: (backend, state) => {
+        this.metrics.llmBreakerState.set(
+          { backend },
+          { closed: 0, half_open: 1, open: 2 }[state]
+        );
+        this.logger.warn(`[bridge] ${backend} circuit breaker ${state}`);
+      },
+    });
+
+    this.prompts = new PromptTemplates({
+      dir: this.config.promptsDir,
+      logLevel: process.env.LLM_BRIDGE_LOG_LEVEL,
+    });
+
+    this.cache = new ResponseCache({
+      logLevel: process.env.LLM_BRIDGE_LOG_LEVEL,
+    });
+
+    this.guard = new OwaspGuard({
+      logLevel: process.env.LLM_BRIDGE_LOG_LEVEL,
+      onFinding: (rule, action) => {
+        this.metrics.owaspFindings.inc({ rule: rule.id, action });
+      },
+    });
+
+    this.mcp = new McpRouter({
+      logLevel: process.env.LLM_BRIDGE_LOG_LEVEL,
+      onCall: (server, tool, seconds, failed) => {
+        this.metrics.mcpRequests.inc({ server });
+        this.metrics.mcpLatency.observe({ server }, seconds);
+        this.metrics.mcpToolLatency.observe({ server, tool }, seconds);
+        if (failed) {
+          this.metrics.mcpErrors.inc({ server });
+        }
+      },
+      onHealth: (server, up) => {
+        this.metrics.mcpServerUp.set({ server }, up ? 1 : 0);
+      },
+      withSpan: (name, attributes, fn) =>
+        this.tracer.withSpan(name, attributes, fn),
+    });
+
+    this.approvals = new ToolApprovals({
+      onAudit: (entry) => {
+        this.metrics.mcpApprovals.inc({
+          tool: entry.tool,
+          decision: entry.decision,
+        });
+        this.logger.info(`[audit] MCP tool call ${entry.decision}`, entry);
+      },
+    });
+
+    this.results = new ToolResults({
       logLevel: process.env.LLM_BRIDGE_LOG_LEVEL,
+      onShape: (tool, method) => {
+        this.metrics.mcpResultsShaped.inc({ tool, method });
+      },
     });
 
-    this.mcp = new GrafanaMcp();
+    this.context = new ContextWindow({
+      logLevel: process.env.LLM_BRIDGE_LOG_LEVEL,
+    });
+
+    this.directives = new DirectiveRegistry({
+      bridge: this,
+      logLevel: process.env.LLM_BRIDGE_LOG_LEVEL,
+    });
+    this._registerDirectives();
   }
 
   /***
@@ -45,6 +193,11 @@ export class BridgeService {
     try {
       this.tracer = new TempoTracer(this.config.serviceName);
       await this.tracer.init();
+      await this.keys.init();
+      await this.directives.init();
+      await this.prompts.init();
+      await this.cache.init();
+      await this.mcp.init();
 
       this.logger.info(
         `[bridge] ${this.config.serviceName} service initialized`
@@ -63,197 +216,1038 @@ export class BridgeService {
   }
 
   /***
-   * Authorization middleware
-   */
-  authMiddleware(req, res, next) {
-    if (process.env.LLM_BRIDGE_API_KEY) {
-      const authKey = req.headers.authorization?.replace("Bearer ", "");
-      const apiKey = req?.body?.prompt?.apiKey;
-      if (!authKey || authKey !== process.env.LLM_BRIDGE_API_KEY) {
-        if (!apiKey || apiKey !== process.env.LLM_BRIDGE_API_KEY) {
-          return res.status(401).json({ error: "Unauthorized" });
-        }
+   * Authorization middleware factory
+   * the API key (Bearer header or Grafana's prompt.apiKey) identifies the
+   * client (req.client), which must have the endpoint scope, some quota left
+   * and a free rate limit token
+   * @param {string} [scope] required scope (none for any authenticated client)
+   * @example
+   *   app.post("/v1/embeddings", bridge.auth("embeddings"), handler);
+   */
+  auth(scope) {
+    return (req, res, next) => {
+      try {
+        req.client = this.keys.authorize(
+          [
+            req.headers.authorization?.replace("Bearer ", ""),
+            req.body?.prompt?.apiKey,
+          ],
+          scope
+        );
+      } catch (err) {
+        this.metrics.authRejections.inc({ reason: err.code });
+        return this._sendError(res, err);
       }
-    }
-    next();
+      trace.getActiveSpan()?.setAttribute("client", req.client.name);
+
+      try {
+        this.limiter.take(req.client.name, req.client.rate_limit);
+      } catch (err) {
+        this.metrics.rateLimited.inc({ client: req.client.name });
+        return this._sendError(res, err);
+      }
+      this.keys.countRequest(req.client);
+      next();
+    };
+  }
+
+  /**
+   * Bridge clients and their daily usage router helper (GET /admin/clients)
+   */
+  async handleClients(req, res) {
+    res.json({ object: "list", data: this.keys.list() });
   }
 
   /**
    * OpenAI compatible chat completions router helper
    */
   async handleChat(req, res) {
+    const client = req.client;
     return await this.tracer.withSpan("handleChat", {}, async () => {
       const bridgeTimerEnd = this.metrics.bridgeLatency.startTimer();
-      this.metrics.bridgeRequests.inc();
+      this.metrics.bridgeRequests.inc({ client: client.name });
 
       try {
-        let helper = this.ollama.getHelperFromRequest(req, res);
+        let helper = this.llm.default.getHelperFromRequest(req, res);
+        helper.client = client;
+        helper.signal = this._abortSignal(res);
+        helper.answer.reasoningMode = client.reasoning || this.config.reasoning;
+        await this._applyDirectives(helper);
 
-        // force to use bridge default model
-        helper.answer.model = helper.answer.defaultModel;
+        // requested model (allow-list and alias routing)
+        helper.answer.model = this.models.resolve(helper.prompt.model);
+        this.keys.checkModel(client, helper.prompt.model, helper.answer.model);
+        this._route(helper);
+        this._applyPromptTemplate(helper);
 
-        this.profiler.withLabels({ method: "_checkOWASP" }, () => {
-          if (!this._checkOWASP(helper)) {
-            helper.answer.content = "Invalid prompt";
-          }
-        });
+        await this.profiler.withLabels({ method: "_checkOWASP" }, async () =>
+          this._checkOWASP(helper)
+        );
+
+        const cacheKey = await this._checkCache(helper, req);
+        if (helper.answer.cached) {
+          await helper.backend.answerChat(helper);
+          return;
+        }
 
         await this._checkMCP(helper);
 
-        const ollamaTimerEnd = this.metrics.ollamaLatency.startTimer();
-        this.metrics.ollamaRequests.inc();
+        if (!helper.answer.prefilled) {
+          await this._fitContext(helper);
+        }
+        await this._callLLM(helper, PRIORITY.chat, "an answer", () =>
+          helper.backend.answerChat(helper)
+        );
+        this._observeUsage(client, helper.answer);
+
+        if (cacheKey) {
+          await this._storeCache(cacheKey, helper);
+        }
+      } catch (err) {
+        this._sendError(res, err);
+      } finally {
+        bridgeTimerEnd();
+      }
+    });
+  }
+
+  /**
+   * OpenAI compatible (legacy) completions router helper (POST /v1/completions)
+   */
+  async handleCompletion(req, res) {
+    const client = req.client;
+    return await this.tracer.withSpan("handleCompletion", {}, async () => {
+      const bridgeTimerEnd = this.metrics.bridgeLatency.startTimer();
+      this.metrics.bridgeRequests.inc({ client: client.name });
+
+      try {
+        let helper = this.llm.default.getCompletionHelperFromRequest(req, res);
+        helper.client = client;
+        helper.signal = this._abortSignal(res);
+        // no reasoning field in the completions API: inline or stripped
+        if ((client.reasoning || this.config.reasoning) === "inline") {
+          helper.answer.reasoningMode = "inline";
+        }
+
+        helper.answer.model = this.models.resolve(
+          helper.prompt.model,
+          this.models.defaultCoderModel
+        );
+        this.keys.checkModel(client, helper.prompt.model, helper.answer.model);
+        this._route(helper);
+
+        await this.profiler.withLabels({ method: "_checkOWASP" }, async () =>
+          this._checkOWASP(helper)
+        );
+
+        await this._callLLM(helper, PRIORITY.completion, "a completion", () =>
+          helper.backend.answerCompletion(helper)
+        );
+        this._observeUsage(client, helper.answer);
+      } catch (err) {
+        this._sendError(res, err);
+      } finally {
+        bridgeTimerEnd();
+      }
+    });
+  }
+
+  /**
+   * OpenAI compatible embeddings router helper (POST /v1/embeddings)
+   */
+  async handleEmbeddings(req, res) {
+    const client = req.client;
+    return await this.tracer.withSpan("handleEmbeddings", {}, async () => {
+      const bridgeTimerEnd = this.metrics.bridgeLatency.startTimer();
+      this.metrics.bridgeRequests.inc({ client: client.name });
+
+      try {
+        const helper = {
+          answer: {
+            model: this.models.resolve(
+              req.body?.model,
+              this.models.defaultEmbedModel
+            ),
+          },
+          signal: this._abortSignal(res),
+        };
+        this.keys.checkModel(client, req.body?.model, helper.answer.model);
+        this._route(helper);
+        const model = helper.answer.model;
+
+        const response = await this._callLLM(
+          helper,
+          PRIORITY.embeddings,
+          "embeddings",
+          () =>
+            helper.backend.createEmbeddings({
+              ...req.body,
+              model,
+              signal: helper.attemptSignal,
+            }),
+          false
+        );
+        this._observeUsage(client, { model, usage: response.usage });
+        res.json(response);
+      } catch (err) {
+        this._sendError(res, err);
+      } finally {
+        bridgeTimerEnd();
+      }
+    });
+  }
+
+  /**
+   * OpenAI compatible models list router helper (GET /v1/models)
+   */
+  async handleModels(req, res) {
+    return await this.tracer.withSpan("handleModels", {}, async () => {
+      try {
+        const models = this.models
+          .withAliases(await this.llm.listModels())
+          .filter((model) =>
+            this.keys.isModelAllowed(req.client, model.id, model.root)
+          );
+        res.json({ object: "list", data: models });
+      } catch (err) {
+        this._sendError(res, err);
+      }
+    });
+  }
+
+  /**
+   * OpenAI compatible model retrieve router helper (GET /v1/models/:id)
+   */
+  async handleModel(req, res) {
+    return await this.tracer.withSpan(
+      "handleModel",
+      { model: req.params.id },
+      async () => {
         try {
-          await this.ollama.answerChat(helper);
+          const models = this.models.withAliases(await this.llm.listModels());
+          const model = models.find((model) => model.id === req.params.id);
+          if (
+            !model ||
+            !this.keys.isModelAllowed(req.client, model.id, model.root)
+          ) {
+            throw new OpenAIError(
+              `The model '${req.params.id}' does not exist`,
+              { status: 404, param: "model", code: "model_not_found" }
+            );
+          }
+          res.json(model);
         } catch (err) {
-          this.metrics.ollamaErrors.inc();
-          this.logger.error("[bridge] LLM call for an answer failed", {
-            error: err.message,
+          this._sendError(res, err);
+        }
+      }
+    );
+  }
+
+  /**
+   * Error response helper
+   * OpenAI errors are returned as is, other errors as internal errors
+   */
+  _sendError(res, err) {
+    const client = res.req?.client?.name;
+    if (err instanceof OpenAIError) {
+      this.logger.warn("[bridge] request rejected", {
+        client,
+        error: err.message,
+        code: err.code,
+      });
+      if (!res.headersSent) {
+        if (err.retryAfter) {
+          res.set("Retry-After", String(err.retryAfter));
+        }
+        res.status(err.status).json(err.toResponse());
+      } else {
+        res.end();
+      }
+      return;
+    }
+
+    this.metrics.bridgeErrors.inc();
+    this.logger.error("[bridge] internal error", {
+      client,
+      error: err.message,
+      stack: err.stack,
+    });
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    } else {
+      res.end();
+    }
+  }
+
+  /**
+   * Route the request to its LLM backend
+   * (helper.backend, and the model name without its "<backend>/" prefix)
+   * @param helper Ollama helper object ({ answer: { model } })
+   */
+  _route(helper) {
+    const { backend, model } = this.llm.route(helper.answer.model);
+    helper.backend = backend;
+    helper.answer.model = model;
+    helper.res?.set("X-Bridge-Backend", backend.name);
+    trace.getActiveSpan()?.setAttribute("llm.backend", backend.name);
+  }
+
+  /**
+   * Built-in chat directives (see DirectiveRegistry)
+   */
+  _registerDirectives() {
+    this.directives.register({
+      name: "mcp",
+      usage: "#mcp:<server>[,<server>...]",
+      description: `answer with the tools of MCP servers (${[...this.mcp.servers.keys()].join(", ")}, or * for all)`,
+      value: "required",
+      cacheable: false,
+      handler: (helper, value) => {
+        this._checkMcpScope(helper.client);
+        const servers =
+          value === "*" ? [...this.mcp.servers.keys()] : value.split(",");
+        for (const server of servers) {
+          if (!this.mcp.has(server)) {
+            throw new OpenAIError(`Unknown MCP server '${server}'`, {
+              param: "messages",
+              code: "invalid_directive",
+            });
+          }
+        }
+        helper.mcpServers = servers;
+      },
+    });
+    this.directives.register({
+      name: "confirm",
+      usage: "#confirm:<token>",
+      description: "run the MCP tool calls waiting for your confirmation",
+      value: "required",
+      cacheable: false,
+      handler: (helper, token) => {
+        this._checkMcpScope(helper.client);
+        helper.confirmedAction = this.approvals.get(helper.client.name, token);
+        helper.mcpServers ??= helper.confirmedAction.servers;
+        const message = helper.prompt.messages.findLast(
+          (message) => message.role === "user"
+        );
+        message.content ||= "Confirmed, run them.";
+      },
+    });
+    this.directives.register({
+      name: "model",
+      usage: "#model:<name>",
+      description: "answer with another model or alias (ex: #model:chat-light)",
+      value: "required",
+      handler: (helper, model) => {
+        helper.prompt.model = model;
+      },
+    });
+    this.directives.register({
+      name: "temp",
+      usage: "#temp:<0-2>",
+      description: "sampling temperature (ex: #temp:0 for steady answers)",
+      value: "required",
+      handler: (helper, value) => {
+        const temperature = Number(value);
+        if (
+          !Number.isFinite(temperature) ||
+          temperature < 0 ||
+          temperature > 2
+        ) {
+          throw new OpenAIError(
+            `The #temp directive must be between 0 and 2, got '${value}'`,
+            { param: "messages", code: "invalid_directive" }
+          );
+        }
+        helper.answer.options.temperature = temperature;
+      },
+    });
+    this.directives.register({
+      name: "nocache",
+      description: "fresh answer, not served from the response cache",
+      handler: (helper) => {
+        helper.cacheControl = "no-cache";
+      },
+    });
+    this.directives.register({
+      name: "help",
+      description: "this list",
+      cacheable: false,
+      handler: (helper) => {
+        helper.answer.content = this.directives.help();
+        helper.answer.prefilled = true;
+      },
+    });
+    this.directives.register({
+      name: "llm",
+      usage: "#llm:test",
+      description: "test answer, without calling the LLM",
+      value: "required",
+      cacheable: false,
+      handler: (helper, value) => {
+        if (value !== "test") {
+          throw new OpenAIError(`Unknown #llm directive '${value}'`, {
+            param: "messages",
+            code: "invalid_directive",
           });
-          throw err;
-        } finally {
-          ollamaTimerEnd();
         }
+        this.logger.warn("[bridge] test mode activated");
+        helper.answer.content = "Lorem ipsum dolor sit amet";
+        helper.answer.prefilled = true;
+      },
+    });
+  }
+
+  /**
+   * Check the MCP scope of a client (#mcp and #confirm directives)
+   * @param {JSON} client bridge client
+   * @throws {OpenAIError} 403 if the API key is missing the mcp scope
+   */
+  _checkMcpScope(client) {
+    if (!this.keys.hasScope(client, "mcp")) {
+      throw new OpenAIError(
+        `The API key of '${client.name}' is missing the 'mcp' scope`,
+        {
+          status: 403,
+          type: "permission_error",
+          code: "insufficient_scope",
+        }
+      );
+    }
+  }
+
+  /**
+   * Apply the #directives of the last user message (see DirectiveRegistry)
+   * @param helper Ollama helper object
+   */
+  async _applyDirectives(helper) {
+    await this.directives.apply(helper);
+    for (const { name } of helper.directives) {
+      this.metrics.directives.inc({ directive: name });
+    }
+  }
+
+  /**
+   * System prompt of the request from the matching prompt template
+   * (see PromptTemplates), before the guard and the cache key
+   * @param helper Ollama helper object
+   */
+  _applyPromptTemplate(helper) {
+    const template = this.prompts.apply(helper);
+    if (template) {
+      helper.res.set("X-Bridge-Prompt", template.name);
+      trace.getActiveSpan()?.setAttribute("prompt.template", template.name);
+      this.metrics.promptTemplates.inc({ template: template.name });
+    }
+  }
+
+  /**
+   * LLM call with failover: the requested model, then its fallback models
+   * (LLM_BRIDGE_FALLBACKS) until one answers. Backends with an open breaker
+   * are skipped, and a stream can't fail over once its first chunk is sent.
+   * helper.backend and helper.answer.model end up on the model which answered.
+   * @param helper Ollama helper object ({ answer: { model }, backend, signal })
+   * @param {number} priority request priority (see PRIORITY)
+   * @param {string} action call description (logs)
+   * @param {Function} fn LLM call (helper.attemptSignal aborts it)
+   * @param {boolean} [fallback] try the fallback models (not for embeddings)
+   * @returns {Promise} fn result
+   */
+  async _callLLM(helper, priority, action, fn, fallback = true) {
+    const requested = helper.answer.model;
+    const candidates = [{ backend: helper.backend, model: requested }];
+    if (fallback) {
+      const fallbacks = this.failover.fallbacks(
+        requested,
+        `${helper.backend.name}/${requested}`
+      );
+      // the fallbacks the client can't use are skipped (keys file models)
+      candidates.push(
+        ...fallbacks
+          .filter(
+            (model) =>
+              !helper.client || this.keys.isModelAllowed(helper.client, model)
+          )
+          .map((model) => this.llm.route(model))
+      );
+    }
+
+    let lastError = null;
+    const skipped = [];
+    for (const { backend, model } of candidates) {
+      if (!this.failover.available(backend.name)) {
+        skipped.push(backend.name);
+        continue;
+      }
+      if (model !== requested) {
+        this.metrics.llmFallbacks.inc({ model: requested, fallback: model });
+        this.logger.warn(`[bridge] LLM call for ${action} falls back`, {
+          model: requested,
+          fallback: model,
+          error: lastError?.message,
+        });
+      }
+      helper.backend = backend;
+      helper.answer.model = model;
+      if (!helper.res?.headersSent) {
+        helper.res?.set("X-Bridge-Backend", backend.name);
+        helper.res?.set("X-Bridge-Model", model);
+      }
+
+      try {
+        return await this.failover.attempt(
+          backend.name,
+          model,
+          (signal) => this._callBackend(helper, action, signal, fn),
+          {
+            signal: helper.signal,
+            committed: () => Boolean(helper.res?.headersSent),
+            // a queue slot per try, not held during the retry backoff
+            slot: (call) =>
+              this.queue.run(model, priority, call, helper.signal),
+          }
+        );
       } catch (err) {
-        this.metrics.bridgeErrors.inc();
-        this.logger.error("[bridge] internal error", {
+        lastError = err;
+        if (
+          helper.signal?.aborted ||
+          helper.res?.headersSent ||
+          !this.failover.canFallback(err)
+        ) {
+          throw err;
+        }
+      }
+    }
+    throw lastError || this.failover.unavailableError(skipped);
+  }
+
+  /**
+   * LLM backend call attempt with the LLM backend metrics
+   * @param helper Ollama helper object
+   * @param {string} action call description (logs)
+   * @param {AbortSignal} signal attempt signal (timeout, client gone)
+   * @param {Function} fn LLM call
+   * @returns {Promise} fn result
+   */
+  async _callBackend(helper, action, signal, fn) {
+    const labels = { model: helper.answer.model, backend: helper.backend.name };
+    const ollamaTimerEnd = this.metrics.ollamaLatency.startTimer(labels);
+    this.metrics.ollamaRequests.inc(labels);
+    helper.attemptSignal = signal;
+    try {
+      return await fn();
+    } catch (err) {
+      if (!(err instanceof OpenAIError)) {
+        this.metrics.ollamaErrors.inc(labels);
+        this.logger.error(`[bridge] LLM call for ${action} failed`, {
+          ...labels,
           error: err.message,
-          stack: err.stack,
         });
-        if (!res.headersSent) {
-          res.status(500).json({ error: err.message });
-        } else {
-          res.end();
-        }
-      } finally {
-        bridgeTimerEnd();
+      }
+      throw err;
+    } finally {
+      ollamaTimerEnd();
+    }
+  }
+
+  /**
+   * Request abort signal (client disconnected before the response ended)
+   * @param res express response
+   * @returns {AbortSignal} abort signal
+   */
+  _abortSignal(res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) {
+        controller.abort();
       }
     });
+    return controller.signal;
+  }
+
+  /**
+   * Token usage metrics and client token quota
+   * @param {JSON} client request client
+   * @param {JSON} answer answer ({ model, usage, eval_duration })
+   */
+  _observeUsage(client, answer) {
+    this.metrics.observeUsage(
+      answer.model,
+      answer.usage,
+      answer.eval_duration,
+      client.name
+    );
+    this.keys.countTokens(client, answer.usage);
+    this.logger.debug("[bridge] client usage", {
+      client: client.name,
+      model: answer.model,
+      usage: answer.usage,
+    });
   }
 
   /***
-   * Check prompt integrity (OWASP)
+   * Check prompt integrity (OWASP) and set up the answer filter
    * @param helper Ollama helper object
-   * @returns true/false
+   * @throws {OpenAIError} 400 if the prompt is blocked by a guard rule
    * @see
    * https://owasp.org/www-project-top-10-for-large-language-model-applications/
    * https://genai.owasp.org/llm-top-10/
    */
   _checkOWASP(helper) {
-    // LLM01: Prompt Injection
-    // LLM02: Sensitive Information Disclosure
+    // LLM01: Prompt Injection (guard, prompt)
+    // LLM02: Sensitive Information Disclosure (guard, prompt and answer)
     // LLM03: Supply Chain
     // LLM04: Data and Model Poisoning
-    // LLM05: Improper Output Handling
+    // LLM05: Improper Output Handling (guard, answer)
     // LLM06: Excessive Agency
-    // LLM07: System Prompt Leakage
+    // LLM07: System Prompt Leakage (guard, answer)
     // LLM08: Vector and Embedding Weaknesses
     // LLM09: Misinformation
-    // LLM10: Unbounded Consumption
-    return this.ollama.checkOWASP(helper);
+    // LLM10: Unbounded Consumption (guard, prompt)
+    this.guard.checkPrompt(helper);
+    helper.answer.filter = (text, stream) =>
+      stream
+        ? this.guard.filterStream(helper, stream, text)
+        : this.guard.filterAnswer(helper, text);
+    return true;
+  }
+
+  /**
+   * Response cache lookup (deterministic chat requests without tools)
+   * a hit prefills the answer, replayed as JSON or SSE by answerChat()
+   * @param helper Ollama helper object
+   * @param req express request (Cache-Control: no-cache skips the lookup, no-store the cache)
+   * @returns {string} cache key to store the answer with, or null
+   */
+  async _checkCache(helper, req) {
+    if (
+      !this.cache.enabled ||
+      helper.prompt.tools?.length ||
+      !this.directives.isCacheable(helper) ||
+      !this.cache.isDeterministic(helper.answer.options)
+    ) {
+      return null;
+    }
+
+    const labels = { model: helper.answer.model };
+    const cacheControl =
+      req.headers["cache-control"] || helper.cacheControl || "";
+    if (cacheControl.includes("no-store")) {
+      helper.res.set("X-Bridge-Cache", "BYPASS");
+      this.metrics.cacheLookups.inc({ ...labels, result: "bypass" });
+      return null;
+    }
+
+    const key = this.cache.key({
+      client: helper.client.name,
+      model: `${helper.backend.name}/${helper.answer.model}`,
+      messages: helper.prompt.messages,
+      options: helper.answer.options,
+      format: helper.answer.format,
+      reasoning: helper.answer.reasoningMode,
+    });
+    if (cacheControl.includes("no-cache")) {
+      helper.res.set("X-Bridge-Cache", "BYPASS");
+      this.metrics.cacheLookups.inc({ ...labels, result: "bypass" });
+      return key;
+    }
+
+    const cached = await this.cache.get(key);
+    if (cached) {
+      helper.res.set("X-Bridge-Cache", "HIT");
+      this.metrics.cacheLookups.inc({ ...labels, result: "hit" });
+      this.logger.debug("[bridge] answer served from the cache", { key });
+      Object.assign(helper.answer, cached, { cached: true, prefilled: true });
+      return null;
+    }
+    helper.res.set("X-Bridge-Cache", "MISS");
+    this.metrics.cacheLookups.inc({ ...labels, result: "miss" });
+    return key;
+  }
+
+  /**
+   * Store a complete answer in the response cache
+   * (failed, filtered, empty and tool call answers are not cached, nor the
+   * answers with guard findings: the cache keeps the raw answer text)
+   * @param {string} key cache key
+   * @param helper Ollama helper object
+   */
+  async _storeCache(key, helper) {
+    const answer = helper.answer;
+    if (
+      answer.error ||
+      !answer.content?.trim() ||
+      answer.tool_calls?.length ||
+      answer.flagged ||
+      answer.finish_reason === "content_filter"
+    ) {
+      return;
+    }
+    await this.cache.set(key, {
+      content: answer.content,
+      reasoning: answer.reasoning,
+      finish_reason: answer.finish_reason,
+      usage: answer.usage,
+    });
+    this.metrics.cacheEntries.set(this.cache.entries.size);
   }
 
   /**
    * MCP processor helper
-   * check if it's an MCP request
+   * runs the confirmed tool calls (#confirm:<token>), then the tool loop of
+   * the #mcp:<server> requests (helper.mcpServers)
    */
   async _checkMCP(helper) {
     return await this.tracer.withSpan(
       "checkMCP",
       { prompt: helper.prompt },
       async () => {
-        if (helper?.prompt?.messages.length) {
-          const lines =
-            helper.prompt.messages[
-              helper.prompt.messages.length - 1
-            ].content.split("\n");
-          const lastLine = lines[lines.length - 1];
-
-          if (lastLine.startsWith("#llm:test")) {
-            this.logger.warn("[bridge] test mode activated");
-            helper.answer.content = "Lorem ipsum dolor sit amet";
-            return;
-          } else if (lastLine.startsWith("#mcp:grafana")) {
-            this.logger.debug("[bridge] MCP call to grafana requested", {
-              message: lastLine,
-              tools: this.mcp.tools,
-            });
-            helper.prompt.tools = this.mcp.tools;
-
-            // ask LLM opinion
-            const ollamaTimerEnd = this.metrics.ollamaLatency.startTimer();
-            this.metrics.ollamaRequests.inc();
-            try {
-              await this.ollama.callLLM(helper);
-              this.logger.debug(
-                "[bridge] LLM opinion related to the MCP call",
-                {
-                  prompt: helper.prompt,
-                  answer: helper.answer,
-                }
-              );
-            } catch (err) {
-              this.metrics.ollamaErrors.inc();
-              this.logger.error("[bridge] LLM call for MCP opinion failed", {
-                error: err.message,
-              });
-              throw err;
-            } finally {
-              ollamaTimerEnd();
+        if (helper.confirmedAction) {
+          await this._runConfirmedAction(helper);
+        }
+        if (helper.mcpServers?.length) {
+          // the read-only mode doesn't offer the tools which change something
+          helper.prompt.tools = (
+            await this.mcp.refreshTools(helper.mcpServers)
+          ).filter((tool) =>
+            this.approvals.allows(
+              this.mcp.find(tool.function.name, helper.mcpServers)?.tool
+            )
+          );
+          this.logger.debug(
+            `[bridge] MCP call to ${helper.mcpServers.join(", ")} requested`,
+            {
+              message: helper.prompt.messages.at(-1)?.content,
+              tools: helper.prompt.tools.map((tool) => tool.function.name),
             }
+          );
+          await this._runToolLoop(helper);
+        }
+      }
+    );
+  }
 
-            // execute MCP call
-            if (helper.answer.tool_calls.length) {
-              const mcpTimerEnd = this.metrics.mcpLatency.startTimer();
-              this.metrics.mcpRequests.inc();
-              try {
-                helper.prompt.messages.push({
-                  role: "assistant",
-                  content: "",
-                  tool_calls: helper.answer.tool_calls,
-                });
-                const results = await this.mcp.executeTools(
-                  helper.answer.tool_calls
-                );
-                for (const result of results) {
-                  const message = {
-                    role: "tool",
-                    name: result.name,
-                    content: JSON.stringify(
-                      result.error
-                        ? { error: result.error }
-                        : result.result
-                        ? { result: result.result }
-                        : { result }
-                    ),
-                  };
-                  helper.prompt.messages.push(message);
-                }
-                helper.prompt.messages.push({
-                  role: "system",
-                  content:
-                    "Respond to the user's latest interaction based on the result from the previous tool.",
-                });
-                helper.answer.content = "";
-                helper.prompt.tools = null;
-
-                this.logger.debug("[bridge] MCP call executed", {
-                  new_prompt: helper.prompt,
-                });
-              } catch (err) {
-                this.metrics.mcpErrors.inc();
-                this.logger.error("[bridge] MCP call failed", {
-                  error: err.message,
-                });
-                throw err;
-              } finally {
-                mcpTimerEnd();
-              }
-            }
-          }
+  /**
+   * Agentic tool loop
+   * feeds tool results back to the LLM (tools still enabled) until it stops
+   * asking for tools, asks for tools which need a confirmation, or the max
+   * step count, the time budget or the invalid tool arguments retries are
+   * reached (the validation errors are fed back for the LLM to fix them)
+   * @param helper Ollama helper object
+   */
+  async _runToolLoop(helper) {
+    const deadline = Date.now() + this.config.mcpTimeBudget * 1000;
+    let step = 0;
+    let repairs = 0;
+    let reason = "answer";
+
+    for (;;) {
+      if (repairs > this.config.mcpRepairRetries) {
+        reason = "invalid_arguments";
+        break;
+      }
+      if (step >= this.config.mcpMaxSteps) {
+        reason = "max_steps";
+        break;
+      }
+      if (Date.now() >= deadline) {
+        reason = "time_budget";
+        break;
+      }
+      step++;
+
+      const done = await this.tracer.withSpan("mcpStep", { step }, async () => {
+        this.metrics.mcpSteps.inc();
+        await this._askToolCalls(helper);
+        if (!helper.answer.tool_calls?.length) {
+          return true;
+        }
+        if (await this._executeToolCalls(helper)) {
+          repairs++;
         }
+        return Boolean(helper.pendingAction);
+      });
+      if (done) {
+        reason = helper.pendingAction ? "confirmation" : "answer";
+        break;
+      }
+    }
+
+    this.metrics.mcpLoopSteps.observe({ reason }, step);
+    this.logger.debug("[bridge] MCP tool loop finished", { step, reason });
+
+    if (["max_steps", "time_budget", "invalid_arguments"].includes(reason)) {
+      // still asking for tools: force a final answer with what we have
+      helper.prompt.messages.push({
+        role: "system",
+        content:
+          "No more tool calls are allowed. Respond to the user's latest interaction based on the results from the previous tools.",
+      });
+      helper.answer.content = "";
+    } else if (reason === "answer") {
+      // the last LLM opinion is the answer
+      helper.answer.prefilled = true;
+    }
+    helper.answer.tool_calls = [];
+    helper.prompt.tools = null;
+  }
+
+  /**
+   * Ask the LLM for its next tool calls (or final answer)
+   * @param helper Ollama helper object
+   */
+  async _askToolCalls(helper) {
+    await this._fitContext(helper);
+    await this._callLLM(helper, PRIORITY.chat, "MCP opinion", () =>
+      helper.backend.callLLM(helper)
+    );
+    this.logger.debug("[bridge] LLM opinion related to the MCP call", {
+      prompt: helper.prompt,
+      answer: helper.answer,
+    });
+  }
+
+  /**
+   * Execute the tool calls requested by the LLM
+   * and append their results to the prompt messages
+   * the calls with invalid arguments get their validation errors instead,
+   * the calls of tools which change something wait for a confirmation
+   * (helper.pendingAction, its description becomes the answer), or are
+   * refused in read-only mode (see ToolApprovals)
+   * @param helper Ollama helper object
+   * @returns {Promise<number>} count of tool calls with invalid arguments
+   */
+  async _executeToolCalls(helper) {
+    const toolCalls = helper.answer.tool_calls;
+    const errors = new Map(); // tool call -> error (not run)
+    const calls = [];
+    for (const toolCall of toolCalls) {
+      const error = this.mcp.validate(toolCall, helper.mcpServers);
+      if (error) {
+        errors.set(toolCall, error);
+        this.metrics.mcpInvalidCalls.inc({
+          tool: toolCall.function.name,
+          model: helper.answer.model,
+        });
+        continue;
+      }
+      const found = this.mcp.find(toolCall.function.name, helper.mcpServers);
+      if (found) {
+        calls.push({ server: found.server.name, tool: found.tool, toolCall });
+      }
+    }
+    const invalid = errors.size;
+    const changes = calls.filter(
+      (call) => !this.approvals.isReadOnly(call.tool)
+    );
+
+    if (changes.length && !this.approvals.readOnly && !invalid) {
+      helper.pendingAction = this.approvals.request(
+        helper.client.name,
+        helper.mcpServers,
+        calls
+      );
+      helper.answer.content = this.approvals.describe(helper.pendingAction);
+      helper.answer.prefilled = true;
+      helper.answer.tool_calls = [];
+      return 0;
+    }
+    for (const call of changes) {
+      const name = call.toolCall.function.name;
+      if (this.approvals.readOnly) {
+        this.approvals.refuse(helper.client.name, call);
+        errors.set(call.toolCall, {
+          message: `${name} is disabled: the tools which change something are not allowed (read-only mode)`,
+        });
+      } else {
+        // confirmed once the whole batch is valid
+        errors.set(call.toolCall, {
+          message: `${name} was not run: fix the invalid tool calls, then call it again with them`,
+        });
+      }
+    }
+    await this._runToolCalls(helper, toolCalls, helper.mcpServers, errors);
+    return invalid;
+  }
+
+  /**
+   * Run the tool calls of a confirmed pending action (#confirm:<token>)
+   * their results are appended to the prompt messages for the next answer
+   * @param helper Ollama helper object
+   */
+  async _runConfirmedAction(helper) {
+    const action = helper.confirmedAction;
+    const toolCalls = this.approvals.approve(action);
+    await this._runToolCalls(helper, toolCalls, action.servers);
+  }
+
+  /**
+   * Run tool calls and append them and their results to the prompt messages
+   * @param helper Ollama helper object
+   * @param {[JSON]} toolCalls tool calls
+   * @param {[string]} servers MCP servers of the tools
+   * @param {Map} [errors] tool calls not to run -> their error result
+   */
+  async _runToolCalls(helper, toolCalls, servers, errors = new Map()) {
+    try {
+      helper.prompt.messages.push({
+        role: "assistant",
+        content: helper.answer.content,
+        tool_calls: toolCalls,
+      });
+      const results = await this.mcp.executeTools(
+        toolCalls.filter((toolCall) => !errors.has(toolCall)),
+        servers,
+        { signal: helper.signal }
+      );
+      const tokens = this.results.budget(
+        await this._contextLength(helper),
+        estimateMessagesTokens(helper.prompt.messages) +
+          estimateTokens(JSON.stringify(helper.prompt.tools || [])),
+        toolCalls.length
+      );
+      const messages = [];
+      for (const toolCall of toolCalls) {
+        const result = errors.has(toolCall)
+          ? { name: toolCall.function.name, error: errors.get(toolCall) }
+          : results.shift();
+        const message = {
+          role: "tool",
+          tool_name: result.name,
+          content: JSON.stringify(
+            result.error
+              ? { error: result.error }
+              : await this._shapeResult(helper, result, tokens)
+          ),
+        };
+        messages.push(message);
       }
+      // LLM01: indirect prompt injection (guard, tool results)
+      this.guard.checkToolResults(helper, messages);
+      helper.prompt.messages.push(...messages);
+      helper.answer.content = "";
+
+      this.logger.debug("[bridge] MCP call executed", {
+        new_prompt: helper.prompt,
+      });
+    } catch (err) {
+      this.logger.error("[bridge] MCP call failed", {
+        error: err.message,
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Helper of a summary LLM call: a copy of the request helper, so that the
+   * summary fallbacks leave the request backend, model and headers as they
+   * are (the token usage still adds up in the request answer)
+   * @param helper Ollama helper object
+   * @returns helper object
+   */
+  _summaryHelper(helper) {
+    return { ...helper, answer: { ...helper.answer }, res: null };
+  }
+
+  /**
+   * Tool result for the LLM, shaped to its token budget (see ToolResults)
+   * the large results of the summarize rules are summarized by the
+   * request model
+   * @param helper Ollama helper object
+   * @param {JSON} result tool result { name, result }
+   * @param {number} tokens token budget
+   * @returns {Promise<JSON>} { result } (and isError for a tool error)
+   */
+  async _shapeResult(helper, result, tokens) {
+    const shaped = await this.results.shape(result.name, result.result, {
+      tokens,
+      contextLength: await this._contextLength(helper),
+      question: helper.prompt.messages.findLast(
+        (message) => message.role === "user"
+      )?.content,
+      signal: helper.signal,
+      summarize: (messages) => {
+        const summary = this._summaryHelper(helper);
+        return this._callLLM(summary, PRIORITY.chat, "MCP result summary", () =>
+          summary.backend.ask(summary, messages)
+        );
+      },
+    });
+    return result.result?.isError
+      ? { result: shaped, isError: true }
+      : { result: shaped };
+  }
+
+  /**
+   * Context length of the request model (tokens)
+   * from its backend (Ollama show API), or LLM_BRIDGE_CONTEXT_LENGTH
+   * @param helper Ollama helper object
+   * @returns {Promise<number>} context length
+   */
+  async _contextLength(helper) {
+    return (
+      (await helper.backend.contextLength(helper.answer.model)) ||
+      this.config.contextLength
     );
   }
+
+  /**
+   * Fit the conversation in the model context before an LLM call
+   * (see ContextWindow), what was trimmed goes to the
+   * X-Bridge-Context-Trimmed header ("messages=N; tokens=N", added up over
+   * the calls of the request)
+   * @param helper Ollama helper object
+   */
+  async _fitContext(helper) {
+    const contextLength = await this._contextLength(helper);
+    const { messages, trimmed } = await this.context.fit(
+      helper.prompt.messages,
+      this.context.budget(contextLength, {
+        tools: helper.prompt.tools,
+        maxTokens: helper.answer.options?.num_predict,
+      }),
+      {
+        contextLength,
+        signal: helper.signal,
+        summarize: (messages) => {
+          const summary = this._summaryHelper(helper);
+          return this._callLLM(
+            summary,
+            PRIORITY.chat,
+            "conversation summary",
+            () => summary.backend.ask(summary, messages)
+          );
+        },
+      }
+    );
+    if (!trimmed.messages) {
+      return;
+    }
+    helper.prompt.messages = messages;
+    helper.contextTrimmed = {
+      messages: (helper.contextTrimmed?.messages || 0) + trimmed.messages,
+      tokens: (helper.contextTrimmed?.tokens || 0) + trimmed.tokens,
+    };
+
+    const labels = {
+      model: helper.answer.model,
+      strategy: this.context.strategy,
+    };
+    this.metrics.contextTrims.inc(labels);
+    this.metrics.contextTrimmedTokens.inc(labels, trimmed.tokens);
+    trace.getActiveSpan()?.setAttribute("context.trimmed", trimmed.tokens);
+    if (!helper.res?.headersSent) {
+      helper.res?.set(
+        "X-Bridge-Context-Trimmed",
+        `messages=${helper.contextTrimmed.messages}; tokens=${helper.contextTrimmed.tokens}`
+      );
+    }
+    this.logger.info("[bridge] conversation trimmed to the model context", {
+      ...labels,
+      contextLength,
+      ...trimmed,
+    });
+  }
 }
 
 // bridge service router instance
@@ -0,0 +1,323 @@
+import crypto from "crypto";
+import fs from "fs";
+import { LoggerHelper } from "./LoggerHelper.js";
+import { OpenAIError } from "./OpenAIError.js";
+import { REASONING_MODES } from "./ReasoningParser.js";
+
+/**
+ * Client scopes
+ * chat: /v1/chat/completions and /v1/completions, embeddings: /v1/embeddings,
+ * mcp: #mcp directives (tool calls), admin: bridge administration endpoints
+ */
+export const SCOPES = ["chat", "embeddings", "mcp", "admin"];
+
+/**
+ * API key hash (keys are never stored in clear text)
+ * @param {string} key API key
+ * @returns {string} sha256 hex digest
+ */
+export function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Current quota day (UTC)
+ * @returns {string} YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * API Key Store class
+ * Named clients loaded from a JSON keys file (LLM_BRIDGE_KEYS_FILE) with
+ * hashed keys, scopes, allowed models and daily request/token quotas.
+ * LLM_BRIDGE_API_KEY is still accepted as the "default" client (all scopes),
+ * and without any key the bridge stays open ("anonymous" client).
+ * @example keys file
+ *   {
+ *     "clients": [
+ *       {
+ *         "name": "grafana",
+ *         "key_sha256": "<echo -n 'the key' | sha256sum>",
+ *         "scopes": ["chat", "mcp"],
+ *         "models": ["chat-light", "deepseek-r1:7b"],
+ *         "quota": { "requests_per_day": 5000, "tokens_per_day": 2000000 },
+ *         "rate_limit": { "requests_per_minute": 30, "burst": 5 },
+ *         "reasoning": "strip"
+ *       }
+ *     ]
+ *   }
+ */
+export class ApiKeyStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.keysFile] - keys file path
+   * @param {string} [options.apiKey] - legacy shared API key ("default" client)
+   * @param {Map} [options.aliases] - model aliases (alias -> model tag)
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(options = {}) {
+    this.keysFile = options.keysFile || process.env.LLM_BRIDGE_KEYS_FILE || "";
+    this.apiKey = options.apiKey || process.env.LLM_BRIDGE_API_KEY || "";
+    this.aliases = options.aliases || new Map();
+    this.logger = new LoggerHelper("Keys", {
+      level: options.logLevel || process.env.LOG_LEVEL || "info",
+    });
+
+    // key hash -> client, client name -> daily usage
+    this.clients = new Map();
+    this.usage = new Map();
+    this.loaded = false; // see load()
+  }
+
+  /***
+   * Key store initializer (loads and watches the keys file)
+   * @throws {Error} unreadable or invalid keys file (the bridge doesn't
+   *   start open)
+   */
+  async init() {
+    this.load();
+    if (this.keysFile) {
+      // revoked or new keys are picked up without a restart
+      fs.watchFile(this.keysFile, { interval: 5000 }, () =>
+        this.load()
+      ).unref();
+    }
+    return this;
+  }
+
+  /**
+   * Load the clients from the keys file and the legacy API key
+   * (a broken file keeps the previously loaded clients on reload)
+   * @throws {Error} unreadable or invalid keys file at the first load
+   */
+  load() {
+    const clients = new Map();
+
+    if (this.apiKey) {
+      clients.set(hashKey(this.apiKey), this._toClient({ name: "default" }));
+    }
+
+    if (this.keysFile) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.keysFile, "utf8"));
+        for (const entry of data.clients || []) {
+          if (!entry.name || !entry.key_sha256) {
+            throw new Error("client name and key_sha256 are required");
+          }
+          if (entry.disabled) {
+            continue;
+          }
+          clients.set(entry.key_sha256.toLowerCase(), this._toClient(entry));
+        }
+      } catch (err) {
+        this.logger.error("[keys] keys file not loaded", {
+          file: this.keysFile,
+          error: err.message,
+        });
+        if (!this.loaded) {
+          throw new Error(
+            `[keys] keys file ${this.keysFile} not loaded: ${err.message}`
+          );
+        }
+        return;
+      }
+    }
+
+    this.clients = clients;
+    this.loaded = true;
+    this.logger.info("[keys] API keys loaded", {
+      file: this.keysFile || null,
+      clients: [...clients.values()].map((client) => client.name),
+    });
+  }
+
+  /**
+   * Check if API keys are required
+   * @returns {boolean} true if at least one key is configured
+   */
+  get enabled() {
+    return this.clients.size > 0;
+  }
+
+  /**
+   * Authenticate a request and check its scope and quota
+   * @param {[string]} keys candidate API keys (Bearer header, body apiKey)
+   * @param {string} [scope] required scope (none for any authenticated client)
+   * @returns {JSON} client { name, scopes, models, quota, rate_limit, reasoning }
+   * @throws {OpenAIError} 401 invalid key, 403 missing scope, 429 quota exceeded
+   */
+  authorize(keys, scope) {
+    let client = null;
+    if (!this.enabled) {
+      client = this._toClient({ name: "anonymous" });
+    } else {
+      for (const key of keys) {
+        client = key ? this.clients.get(hashKey(key)) : null;
+        if (client) break;
+      }
+      if (!client) {
+        throw new OpenAIError("Incorrect API key provided", {
+          status: 401,
+          code: "invalid_api_key",
+        });
+      }
+    }
+
+    if (scope && !this.hasScope(client, scope)) {
+      throw new OpenAIError(
+        `The API key of '${client.name}' is missing the '${scope}' scope`,
+        { status: 403, type: "permission_error", code: "insufficient_scope" }
+      );
+    }
+    this._checkQuota(client);
+    return client;
+  }
+
+  /**
+   * Check a client scope
+   * @param {JSON} client client
+   * @param {string} scope scope name
+   * @returns {boolean} true if the client has the scope
+   */
+  hasScope(client, scope) {
+    return client.scopes.includes(scope);
+  }
+
+  /**
+   * Check if a client can use a model
+   * (aliases match their model tag and the other way around)
+   * @param {JSON} client client
+   * @param {[string]} names requested model name, alias or resolved tag
+   * @returns {boolean} true if allowed
+   */
+  isModelAllowed(client, ...names) {
+    if (client.models.includes("*")) {
+      return true;
+    }
+    const allowed = client.models.map((model) => this._modelTag(model));
+    return names.some((name) => name && allowed.includes(this._modelTag(name)));
+  }
+
+  /**
+   * Model access check
+   * @param {JSON} client client
+   * @param {[string]} names requested model name, alias or resolved tag
+   * @throws {OpenAIError} 400 if the client can't use the model
+   */
+  checkModel(client, ...names) {
+    if (!this.isModelAllowed(client, ...names)) {
+      throw new OpenAIError(
+        `The model '${names[0]}' does not exist or is not allowed for '${client.name}'`,
+        { status: 400, param: "model", code: "model_not_found" }
+      );
+    }
+  }
+
+  /**
+   * Count a client request (daily quota)
+   * @param {JSON} client client
+   */
+  countRequest(client) {
+    this._usage(client).requests++;
+  }
+
+  /**
+   * Count client tokens (daily quota)
+   * @param {JSON} client client
+   * @param {JSON} usage OpenAI usage ({ total_tokens })
+   */
+  countTokens(client, usage = {}) {
+    this._usage(client).tokens += usage.total_tokens || 0;
+  }
+
+  /**
+   * Clients list with their daily usage (admin endpoint)
+   * @returns {[JSON]} clients { name, scopes, models, quota, usage }
+   */
+  list() {
+    return [...this.clients.values()].map((client) => ({
+      ...client,
+      usage: { ...this._usage(client) },
+    }));
+  }
+
+  /**
+   * Client normalizer
+   * @param {JSON} entry keys file entry
+   * @returns {JSON} client
+   */
+  _toClient(entry) {
+    const scopes = entry.scopes || SCOPES;
+    for (const scope of scopes) {
+      if (!SCOPES.includes(scope)) {
+        throw new Error(`unknown scope '${scope}' for ${entry.name}`);
+      }
+    }
+    if (entry.reasoning && !REASONING_MODES.includes(entry.reasoning)) {
+      throw new Error(
+        `unknown reasoning mode '${entry.reasoning}' for ${entry.name}`
+      );
+    }
+    return {
+      name: entry.name,
+      scopes,
+      models: entry.models?.length ? entry.models : ["*"],
+      quota: {
+        requests_per_day: entry.quota?.requests_per_day || 0,
+        tokens_per_day: entry.quota?.tokens_per_day || 0,
+      },
+      rate_limit: entry.rate_limit || {},
+      reasoning: entry.reasoning || null,
+    };
+  }
+
+  /**
+   * Model tag of a model name or alias
+   * @param {string} model model name or alias
+   * @returns {string} model tag
+   */
+  _modelTag(model) {
+    model = this.aliases.get(model) || model;
+    return model.includes(":") ? model : `${model}:latest`;
+  }
+
+  /**
+   * Client daily usage (reset at UTC midnight)
+   * @param {JSON} client client
+   * @returns {JSON} usage { day, requests, tokens }
+   */
+  _usage(client) {
+    let usage = this.usage.get(client.name);
+    if (!usage || usage.day !== today()) {
+      usage = { day: today(), requests: 0, tokens: 0 };
+      this.usage.set(client.name, usage);
+    }
+    return usage;
+  }
+
+  /**
+   * Daily quota check (0 = unlimited)
+   * the token quota is checked before the request, so the last request
+   * of the day may go over it
+   * @param {JSON} client client
+   * @throws {OpenAIError} 429 if a quota is exceeded
+   */
+  _checkQuota(client) {
+    const usage = this._usage(client);
+    const { requests_per_day, tokens_per_day } = client.quota;
+    if (
+      (requests_per_day && usage.requests >= requests_per_day) ||
+      (tokens_per_day && usage.tokens >= tokens_per_day)
+    ) {
+      const midnight = new Date().setUTCHours(24, 0, 0, 0);
+      throw new OpenAIError(`Daily quota exceeded for '${client.name}'`, {
+        status: 429,
+        type: "insufficient_quota",
+        code: "insufficient_quota",
+        retryAfter: Math.ceil((midnight - Date.now()) / 1000),
+      });
+    }
+  }
+}
@@ -0,0 +1,278 @@
+import { LoggerHelper } from "./LoggerHelper.js";
+import { estimateMessagesTokens, estimateTokens } from "./TokenHelper.js";
+
+/**
+ * Context window strategies (LLM_BRIDGE_CONTEXT_STRATEGY)
+ * - last_turns: the system messages and the last turns
+ * - tool_results: the old tool results dropped first, then the old turns
+ * - summarize: the old turns summarized by the LLM
+ * - off: the messages as they are (the backend cuts them)
+ */
+export const CONTEXT_STRATEGIES = [
+  "last_turns",
+  "tool_results",
+  "summarize",
+  "off",
+];
+
+/**
+ * Content of a dropped tool result
+ */
+const DROPPED_RESULT = JSON.stringify({
+  result: "(old tool result dropped to fit the context)",
+});
+
+/**
+ * Conversation turns: a user message and the messages until the next one
+ * (the system messages are left out, the messages before the first user
+ * message make a turn of their own)
+ * @param {[JSON]} messages chat messages
+ * @returns {[[JSON]]} turns
+ */
+function toTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === "system") {
+      continue;
+    }
+    if (message.role === "user" || !turns.length) {
+      turns.push([]);
+    }
+    turns.at(-1).push(message);
+  }
+  return turns;
+}
+
+/**
+ * Conversation transcript (summary input)
+ * @param {[JSON]} messages chat messages
+ * @returns {string} one "role: content" paragraph per message
+ */
+function toTranscript(messages) {
+  return messages
+    .map((message) => {
+      const calls = (message.tool_calls || [])
+        .map((toolCall) => `${toolCall.function?.name}()`)
+        .join(", ");
+      const role =
+        message.role === "tool"
+          ? `tool ${message.tool_name || ""}`
+          : message.role;
+      return `${role}: ${message.content || ""}${calls ? ` [calls ${calls}]` : ""}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Context Window class
+ * Fits long conversations (Continue sessions, MCP tool loops) in the model
+ * context before the LLM calls: the backend would cut them from their
+ * start otherwise, system prompt included. The system messages and the
+ * current turn are always kept, the older turns go first, by strategy.
+ */
+export class ContextWindow {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.strategy] - strategy (see CONTEXT_STRATEGIES)
+   * @param {number} [options.turns] - max turns kept by last_turns
+   * @param {number} [options.reserve] - tokens kept for the answer
+   * @param {string} [options.logLevel] - log level
+   * @throws {Error} unknown strategy (configuration error)
+   */
+  constructor(options = {}) {
+    this.logger = new LoggerHelper("Context", {
+      level: options.logLevel || process.env.LOG_LEVEL || "info",
+    });
+    this.strategy =
+      options.strategy ||
+      process.env.LLM_BRIDGE_CONTEXT_STRATEGY ||
+      "tool_results";
+    if (!CONTEXT_STRATEGIES.includes(this.strategy)) {
+      throw new Error(`unknown context strategy '${this.strategy}'`);
+    }
+    this.turns = Number(
+      options.turns || process.env.LLM_BRIDGE_CONTEXT_TURNS || 10
+    );
+    this.reserve = Number(
+      options.reserve || process.env.LLM_BRIDGE_CONTEXT_RESERVE || 1024
+    );
+  }
+
+  /**
+   * Token budget of the messages
+   * the context length without the tool schemas and the answer tokens
+   * (max_tokens of the request, or the reserve within a quarter of the context)
+   * @param {number} contextLength model context length (tokens)
+   * @param {object} [options]
+   * @param {[JSON]} [options.tools] - tool schemas sent with the messages
+   * @param {number} [options.maxTokens] - answer max tokens
+   * @returns {number} tokens
+   */
+  budget(contextLength, options = {}) {
+    const answer =
+      options.maxTokens ||
+      Math.min(this.reserve, Math.floor(contextLength / 4));
+    const tools = options.tools?.length
+      ? estimateTokens(JSON.stringify(options.tools))
+      : 0;
+    return contextLength - answer - tools;
+  }
+
+  /**
+   * Fit chat messages in a token budget (see the strategies)
+   * @param {[JSON]} messages chat messages
+   * @param {number} tokens token budget (see budget())
+   * @param {object} [options]
+   * @param {Function} [options.summarize] - LLM call (messages) => text (summarize strategy)
+   * @param {number} [options.contextLength] - model context length (summary input)
+   * @param {AbortSignal} [options.signal] - abort signal
+   * @returns {Promise<JSON>} { messages, trimmed: { messages, tokens } } the
+   *   fitted messages, and the count of messages (dropped, emptied or
+   *   summarized) and tokens trimmed
+   * @throws {Error} aborted summary
+   */
+  async fit(messages, tokens, options = {}) {
+    const before = estimateMessagesTokens(messages);
+    if (this.strategy === "off" || before <= tokens) {
+      return { messages, trimmed: { messages: 0, tokens: 0 } };
+    }
+
+    let fitted = messages;
+    if (this.strategy === "tool_results") {
+      fitted = this._dropToolResults(fitted, tokens);
+    }
+    if (this.strategy === "summarize") {
+      try {
+        fitted = await this._summarize(fitted, tokens, options);
+      } catch (err) {
+        if (options.signal?.aborted) {
+          throw err;
+        }
+        this.logger.warn("[context] conversation summary failed", {
+          error: err.message,
+        });
+      }
+    }
+    fitted = this._dropTurns(
+      fitted,
+      tokens,
+      this.strategy === "last_turns" ? this.turns : Infinity
+    );
+
+    const kept = new Set(fitted);
+    return {
+      messages: fitted,
+      trimmed: {
+        messages: messages.filter((message) => !kept.has(message)).length,
+        tokens: before - estimateMessagesTokens(fitted),
+      },
+    };
+  }
+
+  /**
+   * Drop the old turns (the current one is kept)
+   * @param {[JSON]} messages chat messages
+   * @param {number} tokens token budget
+   * @param {number} maxTurns max turns kept
+   * @returns {[JSON]} messages
+   */
+  _dropTurns(messages, tokens, maxTurns) {
+    const turns = toTurns(messages);
+    const system = estimateMessagesTokens(
+      messages.filter((message) => message.role === "system")
+    );
+    const size = (start) =>
+      turns
+        .slice(start)
+        .reduce((sum, turn) => sum + estimateMessagesTokens(turn), system);
+    // first kept turn
+    let start = turns.length - Math.min(turns.length, Math.max(1, maxTurns));
+    while (start < turns.length - 1 && size(start) > tokens) {
+      start++;
+    }
+    const keep = new Set(turns.slice(start).flat());
+    return messages.filter(
+      (message) => message.role === "system" || keep.has(message)
+    );
+  }
+
+  /**
+   * Drop the tool results of the old turns, the oldest first
+   * (their messages stay, paired with their tool calls)
+   * @param {[JSON]} messages chat messages
+   * @param {number} tokens token budget
+   * @returns {[JSON]} messages
+   */
+  _dropToolResults(messages, tokens) {
+    const current = new Set(toTurns(messages).at(-1));
+    const fitted = [...messages];
+    let size = estimateMessagesTokens(fitted);
+    for (const [index, message] of fitted.entries()) {
+      if (size <= tokens) {
+        break;
+      }
+      if (
+        message.role !== "tool" ||
+        current.has(message) ||
+        message.content === DROPPED_RESULT
+      ) {
+        continue;
+      }
+      size -= estimateTokens(message.content) - estimateTokens(DROPPED_RESULT);
+      fitted[index] = { ...message, content: DROPPED_RESULT };
+    }
+    return fitted;
+  }
+
+  /**
+   * Summarize the old turns in a system message
+   * the last turns keep up to three quarters of the budget, the summary
+   * takes the rest
+   * @param {[JSON]} messages chat messages
+   * @param {number} tokens token budget
+   * @param {object} options see fit()
+   * @returns {Promise<[JSON]>} messages
+   */
+  async _summarize(messages, tokens, options) {
+    if (!options.summarize) {
+      return messages;
+    }
+    const recent = this._dropTurns(
+      messages,
+      Math.floor(tokens * 0.75),
+      Infinity
+    );
+    const kept = new Set(recent);
+    const old = messages.filter((message) => !kept.has(message));
+    if (!old.length) {
+      return messages;
+    }
+
+    // the latest part of the old turns when they're over half the context
+    const input = toTranscript(old).slice(
+      -Math.floor((options.contextLength || tokens) / 2) * 4
+    );
+    const words = Math.floor(tokens * 0.25 * 0.75);
+    const summary = await options.summarize([
+      {
+        role: "system",
+        content:
+          `Summarize the conversation below in at most ${words} words. ` +
+          "Keep the facts, names, values, decisions and open questions the next answers may need. Answer with the summary only.",
+      },
+      { role: "user", content: input },
+    ]);
+
+    // after the leading system messages
+    const first = recent.findIndex((message) => message.role !== "system");
+    const at = first === -1 ? recent.length : first;
+    return [
+      ...recent.slice(0, at),
+      {
+        role: "system",
+        content: `Summary of the earlier conversation:\n${summary}`,
+      },
+      ...recent.slice(at),
+    ];
+  }
+}
@@ -0,0 +1,203 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { LoggerHelper } from "./LoggerHelper.js";
+import { OpenAIError } from "./OpenAIError.js";
+
+/**
+ * Directive token: "#name" or "#name:value", after a whitespace or at the
+ * start of the text (the trailing spaces go with it when it's stripped)
+ */
+const DIRECTIVE = /(?<=^|\s)#([a-zA-Z][\w-]*)(?::(\S+))?(?:[ \t]+|(?=\s)|$)/g;
+
+/**
+ * Code blocks and inline code (directives there are left alone)
+ */
+const CODE = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/;
+
+/**
+ * Directive Registry class
+ * Chat message directives (#mcp:grafana, #model:qwen3:0.6b, #temp:0, ...)
+ * parsed anywhere in the last user message, out of code, and stripped from
+ * it before it reaches the model. Their handlers adjust the request (model,
+ * options, tools, prefilled answer). Unregistered "#words" are left as is.
+ * Plugin modules (LLM_BRIDGE_DIRECTIVE_PLUGINS) register their own directives.
+ * @example plugin module
+ *   export default function (registry, bridge) {
+ *     registry.register({
+ *       name: "lang",
+ *       usage: "#lang:<language>",
+ *       description: "answer in another language",
+ *       value: "required",
+ *       handler: (helper, value) => { ... },
+ *     });
+ *   }
+ */
+export class DirectiveRegistry {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.plugins] - plugin modules ("path,...")
+   * @param {object} [options.bridge] - bridge service given to the plugins
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(options = {}) {
+    this.plugins = (
+      options.plugins ??
+      process.env.LLM_BRIDGE_DIRECTIVE_PLUGINS ??
+      ""
+    )
+      .split(",")
+      .map((plugin) => plugin.trim())
+      .filter(Boolean);
+    this.bridge = options.bridge;
+    this.logger = new LoggerHelper("Directives", {
+      level: options.logLevel || process.env.LOG_LEVEL || "info",
+    });
+
+    // name -> directive (registration order)
+    this.directives = new Map();
+  }
+
+  /***
+   * Registry initializer (loads the plugin modules)
+   * @throws {Error} plugin module not found or failing (configuration error)
+   */
+  async init() {
+    for (const plugin of this.plugins) {
+      const module = await import(pathToFileURL(path.resolve(plugin)).href);
+      if (typeof module.default !== "function") {
+        throw new Error(`[directives] ${plugin} has no default export`);
+      }
+      await module.default(this, this.bridge);
+    }
+    this.logger.info("[directives] chat directives registered", {
+      plugins: this.plugins,
+      directives: [...this.directives.keys()],
+    });
+    return this;
+  }
+
+  /**
+   * Register a directive
+   * @param {JSON} directive { name, usage, description, value, cacheable, handler }
+   *   value: "none", "optional" or "required" (#name:value),
+   *   cacheable: false for the answers which can't be cached (default true),
+   *   handler: (helper, value) => void, may be async or throw an OpenAIError
+   * @throws {Error} invalid or already registered directive
+   */
+  register(directive) {
+    const name = directive.name?.toLowerCase();
+    if (!/^[a-z][\w-]*$/.test(name || "")) {
+      throw new Error(
+        `[directives] invalid directive name '${directive.name}'`
+      );
+    }
+    if (this.directives.has(name)) {
+      throw new Error(`[directives] #${name} is already registered`);
+    }
+    if (typeof directive.handler !== "function") {
+      throw new Error(`[directives] #${name} has no handler`);
+    }
+    this.directives.set(name, {
+      value: "none",
+      cacheable: true,
+      usage: `#${name}`,
+      description: "",
+      ...directive,
+      name,
+    });
+  }
+
+  /**
+   * Parse the directives of a text
+   * @param {string} text message text
+   * @returns {JSON} { text, directives } text without the directives and the
+   *   directives found ([{ name, value, directive }], in text order)
+   */
+  parse(text) {
+    const directives = [];
+    const parts = text.split(CODE).map((part, index) => {
+      if (index % 2) {
+        return part; // code
+      }
+      return part.replace(DIRECTIVE, (token, name, value) => {
+        const directive = this.directives.get(name.toLowerCase());
+        if (!directive) {
+          return token;
+        }
+        directives.push({ name: directive.name, value, directive });
+        return "";
+      });
+    });
+    if (!directives.length) {
+      return { text, directives };
+    }
+    return {
+      text: parts
+        .join("")
+        .replace(/[ \t]+$/gm, "")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim(),
+      directives,
+    };
+  }
+
+  /**
+   * Apply the directives of the last user message
+   * (helper.directives lists them, the message is left without them)
+   * @param helper Ollama helper object
+   * @throws {OpenAIError} 400 missing or unexpected directive value, or
+   *   the directive handler error
+   */
+  async apply(helper) {
+    helper.directives = [];
+    const message = helper.prompt.messages.findLast(
+      (message) => message.role === "user"
+    );
+    if (typeof message?.content !== "string") {
+      return;
+    }
+
+    const { text, directives } = this.parse(message.content);
+    message.content = text;
+    helper.directives = directives;
+
+    for (const { name, value, directive } of directives) {
+      if (directive.value === "required" && !value) {
+        throw new OpenAIError(
+          `The #${name} directive needs a value (${directive.usage})`,
+          { param: "messages", code: "invalid_directive" }
+        );
+      }
+      if (directive.value === "none" && value) {
+        throw new OpenAIError(
+          `The #${name} directive takes no value (${directive.usage})`,
+          { param: "messages", code: "invalid_directive" }
+        );
+      }
+      this.logger.debug("[directives] directive applied", { name, value });
+      await directive.handler(helper, value);
+    }
+  }
+
+  /**
+   * Check if the directives of a request allow its answer to be cached
+   * @param helper Ollama helper object
+   * @returns {boolean} false if a directive isn't cacheable
+   */
+  isCacheable(helper) {
+    return (helper.directives || []).every(
+      ({ directive }) => directive.cacheable
+    );
+  }
+
+  /**
+   * Directives help (#help answer)
+   * @returns {string} Markdown list of the registered directives
+   */
+  help() {
+    const lines = [...this.directives.values()].map(
+      (directive) => `- \`${directive.usage}\`: ${directive.description}`
+    );
+    return `Chat directives, anywhere in your message:\n\n${lines.join("\n")}`;
+  }
+}
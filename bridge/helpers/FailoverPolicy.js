@@ -0,0 +1,368 @@
+import { OpenAIError } from "./OpenAIError.js";
+
+/**
+ * Fallback chains parser
+ * @param {string} value ex: "deepseek-r1:14b>deepseek-r1:1.5b>qwen3:0.6b,chat-full>chat-light"
+ * @returns {Map} model -> [fallback models] (in order)
+ */
+function parseChains(value = "") {
+  const chains = new Map();
+  for (const entry of value.split(",")) {
+    const [model, ...fallbacks] = entry
+      .split(">")
+      .map((part) => part.trim())
+      .filter(Boolean);
+    if (model && fallbacks.length) {
+      chains.set(model, fallbacks);
+    }
+  }
+  return chains;
+}
+
+/**
+ * Per model timeouts parser
+ * @param {string} value ex: "deepseek-r1:14b=30,qwen3:0.6b=10"
+ * @returns {Map} model -> timeout (seconds)
+ */
+function parseTimeouts(value = "") {
+  const timeouts = new Map();
+  for (const entry of value.split(",")) {
+    const [model, timeout] = entry.split("=").map((part) => part?.trim());
+    if (model && Number(timeout) > 0) {
+      timeouts.set(model, Number(timeout));
+    }
+  }
+  return timeouts;
+}
+
+/**
+ * Abortable sleep
+ * @param {number} ms delay
+ * @param {AbortSignal} [signal] abort signal
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+/**
+ * Failover Policy class
+ * LLM call resilience: fallback model chains, per attempt timeouts, retries
+ * with exponential backoff on transient errors and a circuit breaker per
+ * backend (open after consecutive failures, one trial call after the cooldown).
+ * Only the backend failures (unreachable, 502/503/504) count for the breaker:
+ * a slow or broken model must not cut off the fallback models of its backend.
+ * @example
+ *   const failover = new FailoverPolicy({ fallbacks: "deepseek-r1:14b>deepseek-r1:1.5b" });
+ *   failover.fallbacks("deepseek-r1:14b");   // ["deepseek-r1:1.5b"]
+ *   if (failover.available("ollama")) {
+ *     await failover.attempt("ollama", "deepseek-r1:14b", (signal) => call(signal));
+ *   }
+ */
+export class FailoverPolicy {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.fallbacks] - fallback chains ("model>fallback>...,...")
+   * @param {Map} [options.aliases] - model aliases (alias -> model tag)
+   * @param {number} [options.timeout] - default attempt timeout (seconds, 0 = none)
+   * @param {string} [options.modelTimeouts] - attempt timeouts by model ("model=seconds,...")
+   * @param {number} [options.retries] - retries on the same model (transient errors)
+   * @param {number} [options.backoff] - first retry delay (ms), doubled on each retry
+   * @param {number} [options.threshold] - consecutive failures opening the breaker
+   * @param {number} [options.cooldown] - open breaker duration (seconds)
+   * @param {Function} [options.onRetry] - retry callback (backend, model, error)
+   * @param {Function} [options.onBreaker] - breaker state callback (backend, state)
+   */
+  constructor(options = {}) {
+    // chains by model tag (aliases resolved)
+    const aliases = options.aliases || new Map();
+    const resolve = (model) => aliases.get(model) || model;
+    this.chains = new Map();
+    for (const [model, fallbacks] of parseChains(
+      options.fallbacks ?? process.env.LLM_BRIDGE_FALLBACKS
+    )) {
+      this.chains.set(resolve(model), fallbacks.map(resolve));
+    }
+    this.timeout = Number(
+      options.timeout || process.env.LLM_BRIDGE_ATTEMPT_TIMEOUT || 0
+    );
+    this.modelTimeouts = parseTimeouts(
+      options.modelTimeouts ?? process.env.LLM_BRIDGE_MODEL_TIMEOUTS
+    );
+    this.retries = Number(
+      options.retries || process.env.LLM_BRIDGE_RETRIES || 1
+    );
+    this.backoff = Number(
+      options.backoff || process.env.LLM_BRIDGE_RETRY_BACKOFF || 500
+    );
+    this.threshold = Number(
+      options.threshold || process.env.LLM_BRIDGE_BREAKER_THRESHOLD || 5
+    );
+    this.cooldown = Number(
+      options.cooldown || process.env.LLM_BRIDGE_BREAKER_COOLDOWN || 30
+    );
+    this.onRetry = options.onRetry || (() => {});
+    this.onBreaker = options.onBreaker || (() => {});
+
+    // backend -> { state: closed|open|half_open, failures, openedAt }
+    this.breakers = new Map();
+  }
+
+  /**
+   * Fallback models of a model (first configured name wins)
+   * @param {[string]} names model names (ex: alias, tag, "<backend>/<model>")
+   * @returns {[string]} fallback models, in order
+   */
+  fallbacks(...names) {
+    for (const name of names) {
+      if (name && this.chains.has(name)) {
+        return this.chains.get(name);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Check if a backend can be called (breaker closed, or its trial call)
+   * @param {string} backend backend name
+   * @returns {boolean} true if the backend can be called
+   */
+  available(backend) {
+    const breaker = this._breaker(backend);
+    if (breaker.state === "closed") {
+      return true;
+    }
+    if (
+      breaker.state === "open" &&
+      Date.now() - breaker.openedAt >= this.cooldown * 1000
+    ) {
+      this._setState(backend, breaker, "half_open");
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Unavailable backends error (all the breakers of the chain are open)
+   * @param {[string]} backends backend names
+   * @returns {OpenAIError} 503 error
+   */
+  unavailableError(backends) {
+    const retryAfter = Math.max(
+      1,
+      ...backends.map((backend) =>
+        Math.ceil(
+          (this._breaker(backend).openedAt +
+            this.cooldown * 1000 -
+            Date.now()) /
+            1000
+        )
+      )
+    );
+    return new OpenAIError(
+      `The LLM backend is unavailable (${[...new Set(backends)].join(", ")}), please retry after ${retryAfter} seconds`,
+      {
+        status: 503,
+        type: "server_error",
+        code: "backend_unavailable",
+        retryAfter,
+      }
+    );
+  }
+
+  /**
+   * Check if an error is worth another try (network error, timeout, 429, 5xx)
+   * @param err error
+   * @returns {boolean} true for transient errors
+   */
+  isTransient(err) {
+    const status = err.status ?? err.status_code;
+    return !status || status === 429 || status >= 500;
+  }
+
+  /**
+   * Check if an error is a backend failure (unreachable or gateway errors)
+   * @param err error
+   * @returns {boolean} true if the breaker should count it
+   */
+  isBackendFailure(err) {
+    const status = err.status ?? err.status_code;
+    return status ? [502, 503, 504].includes(status) : !err.timeout;
+  }
+
+  /**
+   * Check if an error is worth a fallback model (transient or missing model)
+   * @param err error
+   * @returns {boolean} true if the next model of the chain can be tried
+   */
+  canFallback(err) {
+    return this.isTransient(err) || (err.status ?? err.status_code) === 404;
+  }
+
+  /**
+   * Call a model with the attempt timeout and the retries
+   * the breaker records the transient failures of the backend
+   * @param {string} backend backend name
+   * @param {string} model model name
+   * @param {Function} fn call (signal) => Promise
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - client signal (no retry once aborted)
+   * @param {Function} [options.committed] - true once the answer started (ex: stream
+   *   headers sent): the timeout and retries stop there
+   * @param {Function} [options.slot] - runs each try in a slot (call) => Promise
+   *   (ex: model queue), released during the backoff; its own errors (ex:
+   *   queue full) are neither retried nor counted by the breaker
+   * @returns {Promise} fn result
+   */
+  async attempt(backend, model, fn, options = {}) {
+    const committed = options.committed || (() => false);
+    const slot = options.slot || ((call) => call());
+    for (let retry = 0; ; retry++) {
+      let called = false;
+      try {
+        const result = await slot(() => {
+          called = true;
+          return this._withTimeout(model, fn, options.signal, committed);
+        });
+        this._success(backend);
+        return result;
+      } catch (err) {
+        if (!called) {
+          throw err;
+        }
+        if (options.signal?.aborted) {
+          this._cancel(backend);
+          throw err;
+        }
+        if (this.isBackendFailure(err)) {
+          this._failure(backend);
+        } else {
+          // the backend answered (ex: unknown model, model error, too slow)
+          this._success(backend);
+        }
+        if (!this.isTransient(err)) {
+          throw err;
+        }
+        if (
+          retry >= this.retries ||
+          committed() ||
+          this._breaker(backend).state !== "closed"
+        ) {
+          throw err;
+        }
+        this.onRetry(backend, model, err);
+        const delay = this.backoff * 2 ** retry * (0.8 + Math.random() * 0.4);
+        await sleep(delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * Run a call with the model attempt timeout
+   * (the call is aborted, unless the answer is already committed)
+   * @param {string} model model name
+   * @param {Function} fn call (signal) => Promise
+   * @param {AbortSignal} [signal] client signal
+   * @param {Function} committed answer started check
+   * @returns {Promise} fn result
+   */
+  async _withTimeout(model, fn, signal, committed) {
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", abort, { once: true });
+
+    const timeout = this.modelTimeouts.get(model) || this.timeout;
+    let timedOut = false;
+    const timer =
+      timeout > 0 &&
+      setTimeout(() => {
+        if (!committed()) {
+          timedOut = true;
+          controller.abort();
+        }
+      }, timeout * 1000);
+
+    try {
+      return await fn(controller.signal);
+    } catch (err) {
+      if (timedOut) {
+        throw Object.assign(
+          new Error(`[failover] ${model} timed out after ${timeout}s`),
+          { timeout: true }
+        );
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    }
+  }
+
+  /**
+   * Backend breaker
+   * @param {string} backend backend name
+   * @returns {JSON} { state, failures, openedAt }
+   */
+  _breaker(backend) {
+    let breaker = this.breakers.get(backend);
+    if (!breaker) {
+      breaker = { state: "closed", failures: 0, openedAt: 0 };
+      this.breakers.set(backend, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Successful call: the breaker closes
+   */
+  _success(backend) {
+    const breaker = this._breaker(backend);
+    breaker.failures = 0;
+    if (breaker.state !== "closed") {
+      this._setState(backend, breaker, "closed");
+    }
+  }
+
+  /**
+   * Failed call: the breaker opens after too many consecutive failures,
+   * or when its trial call fails
+   */
+  _failure(backend) {
+    const breaker = this._breaker(backend);
+    breaker.failures++;
+    if (
+      breaker.state === "half_open" ||
+      (breaker.state === "closed" && breaker.failures >= this.threshold)
+    ) {
+      breaker.openedAt = Date.now();
+      this._setState(backend, breaker, "open");
+    }
+  }
+
+  /**
+   * Cancelled call: a cancelled trial call gives the trial to the next call
+   */
+  _cancel(backend) {
+    const breaker = this._breaker(backend);
+    if (breaker.state === "half_open") {
+      this._setState(backend, breaker, "open");
+    }
+  }
+
+  /**
+   * Breaker state change
+   */
+  _setState(backend, breaker, state) {
+    breaker.state = state;
+    this.onBreaker(backend, state);
+  }
+}
@@ -0,0 +1,1057 @@
+import crypto from "crypto";
+import { LoggerHelper } from "./LoggerHelper.js";
+import { OpenAIError } from "./OpenAIError.js";
+import { ReasoningParser, splitReasoning } from "./ReasoningParser.js";
+import { estimateTokens } from "./TokenHelper.js";
+
+/**
+ * Tool call arguments parser (OpenAI sends them as a JSON string)
+ * @param {string|object} args tool call arguments
+ * @returns {object} arguments object
+ */
+function parseArguments(args) {
+  if (typeof args !== "string") {
+    return args || {};
+  }
+  try {
+    return args.trim() ? JSON.parse(args) : {};
+  } catch {
+    return args;
+  }
+}
+
+/**
+ * OpenAI sampling parameters validator and Ollama options mapper
+ * @param {JSON} body OpenAI request body
+ * @returns {JSON} { options, format } Ollama request options and format
+ * @throws {OpenAIError} 400 on invalid values
+ * @example
+ *   { temperature: 0, max_tokens: 64, response_format: { type: "json_object" } }
+ *   -> { options: { temperature: 0, num_predict: 64 }, format: "json" }
+ */
+function toOllamaOptions(body) {
+  const options = {};
+  let format;
+
+  const number = (param, min, max, integer = false) => {
+    const value = body[param];
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    if (
+      typeof value !== "number" ||
+      !Number.isFinite(value) ||
+      (integer && !Number.isInteger(value)) ||
+      (min !== undefined && value < min) ||
+      (max !== undefined && value > max)
+    ) {
+      const range =
+        max !== undefined ? `between ${min} and ${max}` : `>= ${min}`;
+      throw new OpenAIError(
+        `'${param}' must be ${integer ? "an integer" : "a number"}${
+          min !== undefined ? ` ${range}` : ""
+        }, got ${JSON.stringify(value)}`,
+        { param, code: "invalid_value" }
+      );
+    }
+    return value;
+  };
+
+  options.temperature = number("temperature", 0, 2);
+  options.top_p = number("top_p", 0, 1);
+  options.num_predict =
+    number("max_completion_tokens", 1, undefined, true) ??
+    number("max_tokens", 1, undefined, true);
+  options.seed = number("seed", undefined, undefined, true);
+  options.presence_penalty = number("presence_penalty", -2, 2);
+  options.frequency_penalty = number("frequency_penalty", -2, 2);
+
+  if (body.stop !== undefined && body.stop !== null) {
+    const stop = [].concat(body.stop);
+    if (
+      stop.length > 4 ||
+      !stop.every((sequence) => typeof sequence === "string")
+    ) {
+      throw new OpenAIError(
+        "'stop' must be a string or an array of up to 4 strings",
+        { param: "stop", code: "invalid_value" }
+      );
+    }
+    options.stop = stop;
+  }
+
+  const responseFormat = body.response_format;
+  if (responseFormat !== undefined && responseFormat !== null) {
+    if (responseFormat.type === "json_object") {
+      format = "json";
+    } else if (responseFormat.type === "json_schema") {
+      const schema = responseFormat.json_schema?.schema;
+      if (!schema || typeof schema !== "object") {
+        throw new OpenAIError(
+          "'response_format.json_schema.schema' must be a JSON schema object",
+          { param: "response_format", code: "invalid_value" }
+        );
+      }
+      format = schema;
+    } else if (responseFormat.type !== "text") {
+      throw new OpenAIError(
+        "'response_format.type' must be 'text', 'json_object' or 'json_schema'",
+        { param: "response_format", code: "invalid_value" }
+      );
+    }
+  }
+
+  for (const key of Object.keys(options)) {
+    if (options[key] === undefined) {
+      delete options[key];
+    }
+  }
+  return { options, format };
+}
+
+/**
+ * OpenAI message content normalizer (text parts array to string)
+ * @param {string|[JSON]} content message content
+ * @returns {string} content
+ */
+function contentToString(content) {
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part?.type === "text")
+      .map((part) => part.text)
+      .join("\n");
+  }
+  if (content === null || content === undefined) {
+    return "";
+  }
+  return typeof content === "string" ? content : JSON.stringify(content);
+}
+
+/**
+ * LLM Helper base class
+ * OpenAI compatible API on top of an LLM backend: request parsing, answers
+ * (JSON or SSE) and usage. Backends implement chat(), generate(), embed() and
+ * listModels() with the Ollama API request and response shapes.
+ * @see OllamaHelper, OpenAIHelper
+ */
+export class LlmHelper {
+  /**
+   * @param {string} name - backend name (ex: "ollama", "openai")
+   * @param {object} [options]
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.logger = new LoggerHelper(name, {
+      level: options.logLevel || process.env.LOG_LEVEL || "info",
+    });
+  }
+
+  /**
+   * Chat API (Ollama chat request and response shapes)
+   * @param {JSON} request { model, messages, tools, options, format, stream }
+   * @returns {Promise<JSON|AsyncIterable>} response, or chunks when streaming
+   */
+  async chat(request) {
+    throw new Error(
+      `[llm] ${this.name} chat API not implemented (${request.model})`
+    );
+  }
+
+  /**
+   * Generate API (Ollama generate request and response shapes)
+   * @param {JSON} request { model, prompt, suffix, options, stream }
+   * @returns {Promise<JSON|AsyncIterable>} response, or chunks when streaming
+   */
+  async generate(request) {
+    throw new Error(
+      `[llm] ${this.name} generate API not implemented (${request.model})`
+    );
+  }
+
+  /**
+   * Embed API (Ollama embed request and response shapes)
+   * @param {JSON} request { model, input, dimensions }
+   * @returns {Promise<JSON>} { embeddings, prompt_eval_count }
+   */
+  async embed(request) {
+    throw new Error(
+      `[llm] ${this.name} embed API not implemented (${request.model})`
+    );
+  }
+
+  /**
+   * Available models list
+   * @returns {Promise<[JSON]>} models (OpenAI format)
+   */
+  async listModels() {
+    throw new Error(`[llm] ${this.name} models list not implemented`);
+  }
+
+  /**
+   * Context length a model runs with
+   * @param {string} model model name
+   * @returns {Promise<number>} tokens, or null when the backend can't tell
+   */
+  async contextLength(model) {
+    this.logger.debug(`[llm] ${this.name} context length unknown (${model})`);
+    return null;
+  }
+
+  /***
+   * Get helper object from HTTP request
+   * @param req HTTP request object
+   * @param res HTTP response object
+   * @returns helper object
+   * helper: { prompt, answer, res }
+   * prompt: { model, stream, tools, tool_calls, messages: [ { role: "user", content: "text", } ] }
+   * answer: { id, created, stream, model, defaultModel, content, prefilled, reasoning, reasoningMode, tool_calls, finish_reason, usage, eval_duration, options, format }
+   * (a prefilled answer, ex: cache hit, is sent without calling the LLM)
+   */
+  getHelperFromRequest(req, res) {
+    try {
+      const body = req.body;
+      const prompt = body.messages
+        ? body
+        : typeof body.prompt === "object"
+        ? body.prompt
+        : null;
+      if (!Array.isArray(prompt?.messages)) {
+        throw new OpenAIError(
+          "'messages' is required (text prompts are served by /v1/completions)",
+          { param: "messages" }
+        );
+      }
+      const defaultModel =
+        process.env.OLLAMA_DEFAULT_MODEL || "deepseek-r1:1.5b";
+
+      if (prompt.model) {
+        if (
+          prompt.model.trim() === "" ||
+          prompt.model === "default" ||
+          prompt.model === "OLLAMA_DEFAULT_MODEL"
+        ) {
+          prompt.model = defaultModel;
+        }
+      } else {
+        prompt.model = defaultModel;
+      }
+
+      prompt.messages = this._toOllamaMessages(prompt.messages);
+      if (prompt.tool_choice === "none") {
+        prompt.tools = null;
+      }
+
+      const { options, format } = toOllamaOptions(prompt);
+
+      const answer = {
+        id: "",
+        created: 0,
+        stream: (prompt.stream || body.stream) === true,
+        model: prompt.model,
+        defaultModel,
+        content: "",
+        prefilled: false,
+        reasoning: "",
+        reasoningMode: "separate",
+        tool_calls: [],
+        finish_reason: "stop",
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        eval_duration: 0,
+        options,
+        format,
+      };
+
+      this.logger.debug("[llm] prompt received", { prompt });
+
+      return { prompt, answer, res };
+    } catch (err) {
+      this.logger.error("[llm] internal error", { error: err.message });
+      throw err;
+    }
+  }
+
+  /***
+   * Get completion helper object from HTTP request (legacy completions API)
+   * @param req HTTP request object
+   * @param res HTTP response object
+   * @returns helper object
+   * helper: { prompt, answer, res }
+   * prompt: { model, prompt, suffix, max_tokens, stop, stream, ... }
+   * answer: { id, created, stream, model, content, prefilled, reasoningMode, finish_reason, usage, eval_duration, options }
+   */
+  getCompletionHelperFromRequest(req, res) {
+    const prompt = { ...req.body };
+
+    if (Array.isArray(prompt.prompt) && prompt.prompt.length === 1) {
+      prompt.prompt = prompt.prompt[0];
+    }
+    if (typeof prompt.prompt !== "string") {
+      throw new OpenAIError("'prompt' must be a string", { param: "prompt" });
+    }
+    if (
+      prompt.suffix !== undefined &&
+      prompt.suffix !== null &&
+      typeof prompt.suffix !== "string"
+    ) {
+      throw new OpenAIError("'suffix' must be a string", { param: "suffix" });
+    }
+
+    const { options } = toOllamaOptions(prompt);
+
+    const answer = {
+      id: "",
+      created: 0,
+      stream: prompt.stream === true,
+      model: prompt.model,
+      content: "",
+      prefilled: false,
+      reasoningMode: "strip",
+      finish_reason: "stop",
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      eval_duration: 0,
+      options,
+    };
+
+    this.logger.debug("[llm] completion prompt received", { prompt });
+
+    return { prompt, answer, res };
+  }
+
+  /***
+   * OpenAI to Ollama chat messages converter
+   * - assistant tool_calls arguments: JSON string to object
+   * - tool results: tool_call_id to tool_name
+   * - content parts array to string
+   * @param {[JSON]} messages OpenAI chat messages
+   * @returns {[JSON]} Ollama chat messages
+   */
+  _toOllamaMessages(messages) {
+    const toolNames = new Map();
+    return messages.map((message) => {
+      const content = contentToString(message.content);
+
+      if (message.role === "assistant" && message.tool_calls?.length) {
+        return {
+          ...message,
+          content,
+          tool_calls: message.tool_calls.map((toolCall) => {
+            if (toolCall.id) {
+              toolNames.set(toolCall.id, toolCall.function?.name);
+            }
+            return {
+              function: {
+                name: toolCall.function?.name,
+                arguments: parseArguments(toolCall.function?.arguments),
+              },
+            };
+          }),
+        };
+      }
+
+      if (message.role === "tool") {
+        return {
+          role: "tool",
+          content,
+          tool_name:
+            message.tool_name ||
+            message.name ||
+            toolNames.get(message.tool_call_id),
+        };
+      }
+
+      return { ...message, content };
+    });
+  }
+
+  /***
+   * Ollama to OpenAI tool calls converter
+   * @param {[JSON]} toolCalls Ollama tool calls
+   * @returns {[JSON]} OpenAI tool calls ({ id, type, function: { name, arguments } })
+   */
+  _toOpenAIToolCalls(toolCalls = []) {
+    return toolCalls.map((toolCall) => ({
+      id: toolCall.id || `call_${crypto.randomUUID().replace(/-/g, "")}`,
+      type: "function",
+      function: {
+        name: toolCall.function?.name,
+        arguments:
+          typeof toolCall.function?.arguments === "string"
+            ? toolCall.function.arguments
+            : JSON.stringify(toolCall.function?.arguments || {}),
+      },
+    }));
+  }
+
+  /**
+   * LLM caller (chat API helper)
+   * @param helper Helper object { model, messages: [{ role: "user", content: "text" }] }
+   */
+  async callLLM(helper) {
+    try {
+      const response = await this.chat({
+        model: helper.answer.model,
+        messages: helper.prompt.messages,
+        tools: helper.prompt.tools,
+        options: helper.answer.options,
+        format: helper.answer.format,
+        stream: false,
+        signal: helper.attemptSignal,
+      });
+      this._addUsage(helper, response);
+      this._setFinishReason(helper, response.done_reason);
+      helper.answer.tool_calls = response.message.tool_calls || [];
+      const { content, reasoning } = this._splitReasoning(
+        helper,
+        response.message
+      );
+      helper.answer.reasoning = reasoning;
+      this._countReasoningTokens(helper, reasoning);
+      // a reasoning only answer has an empty content
+      helper.answer.content = content;
+    } catch (err) {
+      this.logger.error("[llm] LLM call failed", {
+        error: err.message,
+        stack: err.stack,
+        prompt: helper.prompt,
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * One-off LLM call of the bridge itself (ex: tool result summaries)
+   * the request model and options, its tokens added to the request usage
+   * @param helper Helper object (helper.attemptSignal aborts it)
+   * @param {[JSON]} messages chat messages
+   * @returns {Promise<string>} answer text (without reasoning)
+   */
+  async ask(helper, messages) {
+    const response = await this.chat({
+      model: helper.answer.model,
+      messages,
+      options: helper.answer.options,
+      stream: false,
+      signal: helper.attemptSignal,
+    });
+    this._addUsage(helper, response);
+    return splitReasoning(response.message?.content || "").content.trim();
+  }
+
+  /**
+   * OpenAI compatible embeddings helper (embed API)
+   * @param {JSON} request { model, input, encoding_format, dimensions, signal }
+   * @returns {JSON} OpenAI embeddings response
+   * @example
+   *   request: { model: "nomic-embed-text:v1.5", input: ["text 1", "text 2"] }
+   */
+  async createEmbeddings(request) {
+    const input = request.input;
+    const encodingFormat = request.encoding_format || "float";
+    if (
+      !(typeof input === "string" && input !== "") &&
+      !(
+        Array.isArray(input) &&
+        input.length &&
+        input.every((text) => typeof text === "string")
+      )
+    ) {
+      throw new OpenAIError(
+        "'input' must be a non-empty string or an array of strings",
+        { param: "input" }
+      );
+    }
+    if (!["float", "base64"].includes(encodingFormat)) {
+      throw new OpenAIError(
+        `'encoding_format' must be 'float' or 'base64', got '${encodingFormat}'`,
+        { param: "encoding_format" }
+      );
+    }
+
+    try {
+      const response = await this.embed({
+        model: request.model,
+        input,
+        dimensions: request.dimensions,
+        signal: request.signal,
+      });
+      const promptTokens = response.prompt_eval_count || 0;
+      return {
+        object: "list",
+        data: response.embeddings.map((embedding, index) => ({
+          object: "embedding",
+          index,
+          embedding:
+            encodingFormat === "base64"
+              ? Buffer.from(new Float32Array(embedding).buffer).toString(
+                  "base64"
+                )
+              : embedding,
+        })),
+        model: request.model,
+        usage: { prompt_tokens: promptTokens, total_tokens: promptTokens },
+      };
+    } catch (err) {
+      this.logger.error("[llm] embeddings call failed", {
+        error: err.message,
+        model: request.model,
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * OpenAI compatible chat completions router helper
+   * @param helper Helper object
+   */
+  async answerChat(helper) {
+    try {
+      helper.answer.id = `chatcmpl-${crypto.randomUUID()}`;
+      helper.answer.created = Math.floor(Date.now() / 1000);
+
+      if (helper.answer.stream) {
+        // the SSE headers wait for the first chunk, so a failed call can
+        // still be answered by a fallback model (see BridgeService._callLLM)
+        this.logger.debug(
+          "[llm] response as stream requested by the chat client"
+        );
+      }
+
+      const response = await this._processPrompt(helper);
+
+      if (!helper.answer.stream) {
+        helper.res.json(response);
+      }
+    } catch (err) {
+      this.logger.error("[llm] internal error", {
+        error: err.message,
+        stack: err.stack,
+        answer: helper.answer,
+        prompt: helper.prompt,
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * OpenAI compatible (legacy) completions router helper
+   * generate API, with fill-in-the-middle when a suffix is given
+   * @param helper Completion helper object (see getCompletionHelperFromRequest)
+   */
+  async answerCompletion(helper) {
+    helper.answer.id = `cmpl-${crypto.randomUUID()}`;
+    helper.answer.created = Math.floor(Date.now() / 1000);
+
+    const request = {
+      model: helper.answer.model,
+      prompt: helper.prompt.prompt,
+      suffix: helper.prompt.suffix || undefined,
+      options: helper.answer.options,
+    };
+
+    try {
+      if (helper.answer.stream) {
+        this._setStreamHeaders(helper);
+        helper.answer.streams = {};
+        if (!helper.answer.prefilled) {
+          // from scratch on every attempt (retry or fallback model)
+          helper.answer.content = "";
+          const parser = this._reasoningParser(helper);
+          let reasoning = "";
+          const write = (parts) => {
+            reasoning += parts.reasoning;
+            if (parts.content) {
+              this._writeCompletionChunk(helper, parts.content);
+              helper.answer.content += parts.content;
+            }
+          };
+          for await (const chunk of await this.generate({
+            ...request,
+            stream: true,
+            signal: helper.attemptSignal,
+          })) {
+            write(parser.push(chunk.response));
+            if (chunk.done) {
+              this._addUsage(helper, chunk);
+              this._setFinishReason(helper, chunk.done_reason);
+              break;
+            }
+            if (helper.answer.finish_reason === "content_filter") break;
+          }
+          write(parser.flush());
+          this._countReasoningTokens(helper, reasoning);
+        } else {
+          this._writeCompletionChunk(helper, helper.answer.content);
+        }
+        this._writeCompletionChunk(helper, "");
+        this._writeCompletionChunk(helper, "", helper.answer.finish_reason);
+        if (helper.prompt.stream_options?.include_usage) {
+          this._writeUsageChunk(helper, "text_completion");
+        }
+        helper.res.write("data: [DONE]\n\n");
+        helper.res.end();
+      } else {
+        if (!helper.answer.prefilled) {
+          const response = await this.generate({
+            ...request,
+            stream: false,
+            signal: helper.attemptSignal,
+          });
+          this._addUsage(helper, response);
+          const { content, reasoning } = this._splitReasoning(helper, {
+            content: response.response,
+            thinking: response.thinking,
+          });
+          helper.answer.content = content;
+          this._countReasoningTokens(helper, reasoning);
+          this._setFinishReason(helper, response.done_reason);
+        }
+        helper.res.json(this._createCompletionResponse(helper));
+      }
+      this.logger.debug("[llm] LLM completion", {
+        text: helper.answer.content,
+      });
+    } catch (err) {
+      this.logger.error("[llm] completion failed", {
+        error: err.message,
+        stack: err.stack,
+        prompt: helper.prompt,
+      });
+      throw err;
+    }
+  }
+
+  /***
+   * Non streaming text completion response helper
+   * @param helper Completion helper object
+   */
+  _createCompletionResponse(helper) {
+    const text = this._filterAnswer(helper, helper.answer.content);
+    return {
+      id: helper.answer.id,
+      object: "text_completion",
+      created: helper.answer.created,
+      model: helper.answer.model,
+      choices: [
+        {
+          text,
+          index: 0,
+          logprobs: null,
+          finish_reason: helper.answer.finish_reason,
+        },
+      ],
+      usage: helper.answer.usage,
+    };
+  }
+
+  /**
+   * Text completion streaming chunk writer (SSE)
+   * "" without a finish reason flushes the text held by the answer filter
+   */
+  _writeCompletionChunk(helper, text, finishReason = null) {
+    if (!finishReason) {
+      text = this._filterStream(helper, text, "text");
+      if (!text) return;
+    }
+    helper.res.write(
+      `data: ${JSON.stringify({
+        id: helper.answer.id,
+        object: "text_completion",
+        created: helper.answer.created,
+        model: helper.answer.model,
+        choices: [
+          { text, index: 0, logprobs: null, finish_reason: finishReason },
+        ],
+      })}\n\n`
+    );
+  }
+
+  /**
+   * Prompt processor helper
+   * @param helper Helper object
+   */
+  async _processPrompt(helper) {
+    if (helper.answer.stream) {
+      if (!helper.answer.prefilled) {
+        this.logger.debug("[llm] asking LLM for a streaming response", {
+          model: helper.answer.model,
+          prompt: helper.prompt,
+        });
+        helper.answer.content = await this._streamLLMResponse(helper);
+      } else {
+        if (helper.answer.reasoningMode !== "strip") {
+          this._writeStreamChunk(
+            helper,
+            helper.answer.reasoning,
+            "reasoning_content"
+          );
+        }
+        this._writeStreamChunk(helper, helper.answer.content);
+      }
+      this._endStream(helper);
+      this.logger.debug("[llm] LLM answer", {
+        message: helper.answer.content,
+      });
+      return {};
+    } else {
+      if (!helper.answer.prefilled) {
+        this.logger.debug("[llm] asking LLM for a response", {
+          model: helper.answer.model,
+          prompt: helper.prompt,
+        });
+        await this.callLLM(helper);
+      }
+      this.logger.debug("[llm] LLM answer", {
+        message: helper.answer.content,
+      });
+      return this._createResponse(helper);
+    }
+  }
+
+  /***
+   * Non streaming chat completion response helper
+   * @param helper Helper object
+   */
+  _createResponse(helper) {
+    const message = {
+      role: "assistant",
+      content: this._filterAnswer(helper, helper.answer.content),
+    };
+    if (helper.answer.reasoning && helper.answer.reasoningMode !== "strip") {
+      message.reasoning_content = this._filterAnswer(
+        helper,
+        helper.answer.reasoning
+      );
+    }
+    let finishReason = helper.answer.finish_reason || "stop";
+    if (helper.answer.tool_calls?.length) {
+      message.content = message.content || null;
+      message.tool_calls = this._toOpenAIToolCalls(helper.answer.tool_calls);
+      finishReason = "tool_calls";
+    }
+    return {
+      id: helper.answer.id,
+      object: "chat.completion",
+      created: Math.floor(Date.now() / 1000),
+      model: helper.answer.model,
+      choices: [
+        {
+          index: 0,
+          message,
+          finish_reason: finishReason,
+        },
+      ],
+      usage: helper.answer.usage,
+    };
+  }
+
+  /**
+   * Answer filter (OWASP guard output stage, see BridgeService._checkOWASP)
+   * @param helper Helper object
+   * @param {string} text answer text or stream chunk
+   * @returns {string} filtered text
+   */
+  _filterAnswer(helper, text) {
+    return helper.answer.filter && text ? helper.answer.filter(text) : text;
+  }
+
+  /**
+   * Answer stream filter (OWASP guard output stage over a held-back window,
+   * see OwaspGuard.filterStream)
+   * @param helper Helper object
+   * @param {string} text stream chunk ("" flushes the held text)
+   * @param {string} field answer field (one held text each)
+   * @returns {string} filtered text to be sent now
+   */
+  _filterStream(helper, text, field) {
+    if (!helper.answer.filter) {
+      return text;
+    }
+    helper.answer.streams = helper.answer.streams || {};
+    helper.answer.streams[field] = helper.answer.streams[field] || {};
+    return helper.answer.filter(text, helper.answer.streams[field]);
+  }
+
+  /**
+   * Finish reason from Ollama done_reason (the guard's "content_filter" wins)
+   */
+  _setFinishReason(helper, doneReason) {
+    if (helper.answer.finish_reason !== "content_filter") {
+      helper.answer.finish_reason = doneReason === "length" ? "length" : "stop";
+    }
+  }
+
+  /**
+   * Token usage accumulator (Ollama response counters to OpenAI usage)
+   * @param helper Helper object
+   * @param response Ollama response (or last stream chunk)
+   */
+  _addUsage(helper, response) {
+    const usage = helper.answer.usage;
+    usage.prompt_tokens += response.prompt_eval_count || 0;
+    usage.completion_tokens += response.eval_count || 0;
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    helper.answer.eval_duration += response.eval_duration || 0;
+  }
+
+  /**
+   * Answer reasoning split (<think> block, or Ollama/OpenAI thinking field)
+   * @param helper Helper object
+   * @param message LLM message ({ content, thinking })
+   * @returns {JSON} { content, reasoning }
+   */
+  _splitReasoning(helper, message) {
+    const thinking = message?.thinking || "";
+    if (helper.answer.reasoningMode === "inline") {
+      return { content: message?.content || "", reasoning: thinking };
+    }
+    const { content, reasoning } = splitReasoning(message?.content || "");
+    return {
+      content,
+      reasoning: [thinking, reasoning].filter(Boolean).join("\n"),
+    };
+  }
+
+  /**
+   * Streamed answer reasoning parser (pass-through in inline mode)
+   * @param helper Helper object
+   * @returns {ReasoningParser} parser ({ push(text), flush() })
+   */
+  _reasoningParser(helper) {
+    if (helper.answer.reasoningMode === "inline") {
+      return {
+        push: (text = "") => ({ content: text, reasoning: "" }),
+        flush: () => ({ content: "", reasoning: "" }),
+      };
+    }
+    return new ReasoningParser();
+  }
+
+  /**
+   * Reasoning tokens (completion_tokens_details.reasoning_tokens)
+   * Ollama only counts the whole completion: the reasoning part is estimated
+   * @param helper Helper object
+   * @param {string} reasoning reasoning text of an LLM call
+   */
+  _countReasoningTokens(helper, reasoning) {
+    if (!reasoning) return;
+    const usage = helper.answer.usage;
+    usage.completion_tokens_details ??= { reasoning_tokens: 0 };
+    usage.completion_tokens_details.reasoning_tokens = Math.min(
+      usage.completion_tokens_details.reasoning_tokens +
+        estimateTokens(reasoning),
+      usage.completion_tokens || Infinity
+    );
+  }
+
+  /**
+   * Streaming usage chunk writer (SSE, stream_options.include_usage)
+   * @param helper Helper object
+   * @param object chunk object type
+   */
+  _writeUsageChunk(helper, object = "chat.completion.chunk") {
+    helper.res.write(
+      `data: ${JSON.stringify({
+        id: helper.answer.id,
+        object,
+        created: Math.floor(Date.now() / 1000),
+        model: helper.answer.model,
+        choices: [],
+        usage: helper.answer.usage,
+      })}\n\n`
+    );
+  }
+
+  /**
+   * Streaming headers (SSE)
+   */
+  _setStreamHeaders(helper) {
+    helper.res.setHeader("Content-Type", "text/event-stream");
+    helper.res.setHeader("Cache-Control", "no-cache");
+    helper.res.setHeader("Connection", "keep-alive");
+  }
+
+  /**
+   * Chat completion streaming header setup (SSE), once before the first chunk
+   */
+  _setupStream(helper) {
+    if (helper.res.headersSent) return;
+    this._setStreamHeaders(helper);
+    helper.res.write(
+      `data: ${JSON.stringify({
+        id: helper.answer.id,
+        object: "chat.completion.chunk",
+        created: helper.answer.created,
+        model: helper.answer.model,
+        choices: [{ index: 0, delta: { role: "assistant" } }],
+      })}\n\n`
+    );
+  }
+
+  /**
+   * Chat completion streaming chunk writer (SSE)
+   * @param helper Helper object
+   * @param {string} content text ("" flushes the text held by the answer filter)
+   * @param {string} [field] delta field (content or reasoning_content)
+   */
+  _writeStreamChunk(helper, content, field = "content") {
+    content = this._filterStream(helper, content, field);
+    if (!content) return;
+    this._setupStream(helper);
+    helper.res.write(
+      `data: ${JSON.stringify({
+        id: helper.answer.id,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model: helper.answer.model,
+        choices: [{ index: 0, delta: { [field]: content } }],
+      })}\n\n`
+    );
+  }
+
+  /**
+   * Chat completion streaming answer parts writer (SSE)
+   * reasoning as reasoning_content chunks, unless stripped
+   * @param helper Helper object
+   * @param {JSON} parts parsed chunk ({ content, reasoning })
+   * @param {string} [thinking] reasoning sent apart by the LLM backend
+   */
+  _writeStreamParts(helper, parts, thinking = "") {
+    const reasoning = thinking + parts.reasoning;
+    if (reasoning) {
+      helper.answer.reasoning += reasoning;
+      if (helper.answer.reasoningMode !== "strip") {
+        this._writeStreamChunk(helper, reasoning, "reasoning_content");
+      }
+    }
+    if (parts.content) {
+      // the reasoning held by the answer filter goes before the content
+      this._writeStreamChunk(helper, "", "reasoning_content");
+      this._writeStreamChunk(helper, parts.content);
+      helper.answer.content += parts.content;
+    }
+  }
+
+  /**
+   * Chat completion streaming tool calls writer (SSE)
+   * @param helper Helper object
+   * @param toolCalls Ollama tool calls
+   * @param index index of the first tool call in the answer
+   */
+  _writeStreamToolCalls(helper, toolCalls, index) {
+    this._setupStream(helper);
+    helper.res.write(
+      `data: ${JSON.stringify({
+        id: helper.answer.id,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model: helper.answer.model,
+        choices: [
+          {
+            index: 0,
+            delta: {
+              tool_calls: this._toOpenAIToolCalls(toolCalls).map(
+                (toolCall, i) => ({ index: index + i, ...toolCall })
+              ),
+            },
+          },
+        ],
+      })}\n\n`
+    );
+  }
+
+  /**
+   * Chat completion streaming response
+   */
+  async _streamLLMResponse(helper) {
+    // from scratch on every attempt (retry or fallback model): the held
+    // window keeps the headers unsent, a failed attempt can be sent again
+    helper.answer.content = "";
+    helper.answer.reasoning = "";
+    helper.answer.tool_calls = [];
+    helper.answer.streams = {};
+    const parser = this._reasoningParser(helper);
+
+    try {
+      for await (const chunk of await this.chat({
+        model: helper.answer.model,
+        messages: helper.prompt.messages,
+        tools: helper.prompt.tools,
+        options: helper.answer.options,
+        format: helper.answer.format,
+        stream: true,
+        signal: helper.attemptSignal,
+      })) {
+        this._writeStreamParts(
+          helper,
+          parser.push(chunk.message?.content),
+          chunk.message?.thinking
+        );
+        if (helper.answer.finish_reason === "content_filter") break;
+        if (chunk.message?.tool_calls?.length) {
+          this._writeStreamToolCalls(
+            helper,
+            chunk.message.tool_calls,
+            helper.answer.tool_calls.length
+          );
+          helper.answer.tool_calls.push(...chunk.message.tool_calls);
+        }
+        if (chunk.done) {
+          this._addUsage(helper, chunk);
+          this._setFinishReason(helper, chunk.done_reason);
+          break;
+        }
+      }
+      this._writeStreamParts(helper, parser.flush());
+      this._countReasoningTokens(helper, helper.answer.reasoning);
+    } catch (err) {
+      if (!helper.res.headersSent) {
+        // nothing sent yet: the error is still a clean HTTP error (or failover)
+        throw err;
+      }
+      helper.answer.error = err.message;
+      helper.answer.content = `[${this.name}] error in streaming`;
+      this.logger.error(helper.answer.content, {
+        error: err.message,
+        answer: helper.answer,
+        prompt: helper.prompt,
+      });
+      this._writeStreamChunk(helper, helper.answer.content);
+    }
+    return helper.answer.content;
+  }
+
+  /**
+   * Finalize chat completion streaming (SSE)
+   */
+  _endStream(helper) {
+    this._writeStreamChunk(helper, "", "reasoning_content");
+    this._writeStreamChunk(helper, "");
+    this._setupStream(helper);
+    helper.res.write(
+      `data: ${JSON.stringify({
+        id: helper.answer.id,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model: helper.answer.model,
+        choices: [
+          {
+            index: 0,
+            delta: {},
+            finish_reason:
+              helper.answer.finish_reason === "content_filter"
+                ? "content_filter"
+                : helper.answer.tool_calls?.length
+                ? "tool_calls"
+                : helper.answer.finish_reason || "stop",
+          },
+        ],
+      })}\n\n`
+    );
+    if (helper.prompt.stream_options?.include_usage) {
+      this._writeUsageChunk(helper);
+    }
+    helper.res.write("data: [DONE]\n\n");
+    helper.res.end();
+  }
+}
@@ -0,0 +1,178 @@
+import { LoggerHelper } from "./LoggerHelper.js";
+import { OllamaHelper } from "./OllamaHelper.js";
+import { OpenAIHelper } from "./OpenAIHelper.js";
+
+/**
+ * "name=value" list parser
+ * @param {string} value ex: "llamacpp=http://llamacpp:8080,vllm=http://vllm:8000/v1"
+ * @returns {[[string, string]]} [name, value] pairs (configuration order)
+ */
+export function parsePairs(value = "") {
+  return value
+    .split(",")
+    .map((entry) => entry.split("=").map((part) => part?.trim()))
+    .filter(([name, target]) => name && target);
+}
+
+/**
+ * Model glob pattern ("*" wildcard) to regular expression
+ * @param {string} pattern ex: "gpt-*"
+ * @returns {RegExp} anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, ".*")}$`);
+}
+
+/**
+ * LLM Router class
+ * LLM backends (Ollama, OpenAI and any OpenAI compatible server) and the
+ * model -> backend routing rules. A "<backend>/<model>" model name picks the
+ * backend explicitly, otherwise the first matching rule wins.
+ * @example
+ *   LLM_BRIDGE_PROVIDERS=llamacpp=http://llamacpp:8080
+ *   LLM_BRIDGE_ROUTES=gpt-*=openai,*.gguf=llamacpp
+ *   const { backend, model } = router.route("openai/gpt-4o-mini");
+ *   await backend.answerChat(helper);
+ */
+export class LlmRouter {
+  /**
+   * @param {object} [options]
+   * @param {Map} [options.backends] - backends by name (default: environment)
+   * @param {string} [options.routes] - routing rules ("pattern=backend,...")
+   * @param {string} [options.defaultBackend] - backend of the unmatched models
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(options = {}) {
+    const logLevel = options.logLevel || process.env.LOG_LEVEL || "info";
+    this.logger = new LoggerHelper("Llm", { level: logLevel });
+
+    this.backends = options.backends || this._createBackends(logLevel);
+    this.defaultBackend =
+      options.defaultBackend ||
+      process.env.LLM_BRIDGE_DEFAULT_PROVIDER ||
+      "ollama";
+    this.routes = parsePairs(
+      options.routes ?? process.env.LLM_BRIDGE_ROUTES
+    ).map(([pattern, name]) => ({
+      pattern,
+      regexp: globToRegExp(pattern),
+      backend: this._backend(name),
+    }));
+    this._backend(this.defaultBackend);
+
+    this.logger.info("[llm] LLM backends initialized", {
+      backends: [...this.backends.keys()],
+      routes: this.routes.map(
+        (route) => `${route.pattern}=${route.backend.name}`
+      ),
+      default: this.defaultBackend,
+    });
+  }
+
+  /**
+   * Default backend (request parsing doesn't depend on the backend)
+   * @returns {LlmHelper} default backend
+   */
+  get default() {
+    return this.backends.get(this.defaultBackend);
+  }
+
+  /**
+   * Backend of a model
+   * @param {string} model model name, optionally prefixed by "<backend>/"
+   * @returns {JSON} { backend, model } the backend and its model name
+   */
+  route(model) {
+    const slash = model.indexOf("/");
+    if (slash > 0 && this.backends.has(model.slice(0, slash))) {
+      return {
+        backend: this.backends.get(model.slice(0, slash)),
+        model: model.slice(slash + 1),
+      };
+    }
+    const route = this.routes.find((route) => route.regexp.test(model));
+    return { backend: route?.backend || this.default, model };
+  }
+
+  /**
+   * Models of all the backends (a backend failure only hides its models)
+   * the first backend listing a model id wins
+   * @returns {Promise<[JSON]>} models (OpenAI format)
+   */
+  async listModels() {
+    const lists = await Promise.all(
+      [...this.backends.values()].map((backend) =>
+        backend.listModels().catch((err) => {
+          if (backend.name === this.defaultBackend) {
+            throw err;
+          }
+          this.logger.warn(`[llm] ${backend.name} models skipped`, {
+            error: err.message,
+          });
+          return [];
+        })
+      )
+    );
+    const models = new Map();
+    for (const model of lists.flat()) {
+      if (!models.has(model.id)) {
+        models.set(model.id, model);
+      }
+    }
+    return [...models.values()];
+  }
+
+  /**
+   * Backend by name
+   * @param {string} name backend name
+   * @returns {LlmHelper} backend
+   * @throws {Error} unknown backend (configuration error)
+   */
+  _backend(name) {
+    const backend = this.backends.get(name);
+    if (!backend) {
+      throw new Error(`[llm] unknown LLM backend '${name}'`);
+    }
+    return backend;
+  }
+
+  /**
+   * Backends from the environment
+   * - ollama: always (OLLAMA_HOST)
+   * - openai: when OPENAI_API_KEY is set (OPENAI_URL, OPENAI_ORGANIZATION_ID)
+   * - LLM_BRIDGE_PROVIDERS: named OpenAI compatible servers, with their
+   *   optional API key in LLM_BRIDGE_PROVIDER_API_KEYS
+   * @param {string} logLevel log level
+   * @returns {Map} backends by name
+   */
+  _createBackends(logLevel) {
+    const backends = new Map();
+    backends.set("ollama", new OllamaHelper({ logLevel }));
+    if (process.env.OPENAI_API_KEY) {
+      backends.set(
+        "openai",
+        new OpenAIHelper({
+          url: process.env.OPENAI_URL || "https://api.openai.com",
+          logLevel,
+        })
+      );
+    }
+    const apiKeys = new Map(
+      parsePairs(process.env.LLM_BRIDGE_PROVIDER_API_KEYS)
+    );
+    for (const [name, url] of parsePairs(process.env.LLM_BRIDGE_PROVIDERS)) {
+      backends.set(
+        name,
+        new OpenAIHelper({
+          name,
+          url,
+          apiKey: apiKeys.get(name) || "",
+          organization: "",
+          logLevel,
+        })
+      );
+    }
+    return backends;
+  }
+}
@@ -1,128 +1,649 @@
+import fs from "fs/promises";
+import { readFileSync } from "fs";
 import fetch from "node-fetch";
+import { LoggerHelper } from "./LoggerHelper.js";
+import { readEvents } from "./ServerSentEvents.js";
+import { validateArguments } from "./ToolSchema.js";
+
+/**
+ * MCP protocol versions supported by the client (latest first)
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/basic/lifecycle
+ */
+const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+/**
+ * JSON-RPC 2.0 error codes
+ */
+const JSONRPC_ERRORS = {
+  [-32700]: "Parse error",
+  [-32600]: "Invalid request",
+  [-32601]: "Method not found",
+  [-32602]: "Invalid params",
+  [-32603]: "Internal error",
+};
+
+/**
+ * Client identity sent in the initialize request
+ */
+const CLIENT_INFO = {
+  name: "llm-bridge",
+  version: JSON.parse(
+    readFileSync(new URL("../package.json", import.meta.url), "utf8")
+  ).version,
+};
+
+/**
+ * Map items with an async function, at most limit calls at a time
+ * @param {[*]} items items
+ * @param {number} limit max concurrent calls
+ * @param {Function} fn async (item, index) => result
+ * @returns {Promise<[*]>} results, in the items order
+ */
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = Math.min(Math.max(limit, 1), items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * JSON-RPC error to tool call error
+ * @param {JSON} error JSON-RPC error ({ code, message, data })
+ * @returns {JSON} { code, message, data } with a readable message
+ */
+function toError(error) {
+  const label = JSONRPC_ERRORS[error.code];
+  const message = error.message || label || "MCP server error";
+  return {
+    code: error.code,
+    message: label && message !== label ? `${label}: ${message}` : message,
+    data: error.data,
+  };
+}
+
+/**
+ * MCP tool to Ollama/OpenAI function schema converter
+ * @param {JSON} tool MCP tool ({ name, description, inputSchema, annotations })
+ * @returns {JSON} function tool schema
+ * @see https://ollama.com/blog/streaming-tool
+ * @example
+ *   {
+ *     type: 'function',
+ *     function: {
+ *        name: 'addTwoNumbers',
+ *        description: 'Add two numbers together',
+ *        parameters: {
+ *           type: 'object',
+ *           required: ['a', 'b'],
+ *           properties: {
+ *             a: { type: 'number', description: 'The first number' },
+ *             b: { type: 'number', description: 'The second number' }
+ *           }
+ *         }
+ *     }
+ *   }
+ */
+function toFunctionSchema(tool) {
+  const schema = tool.inputSchema || {};
+  const parameters = {
+    type: "object",
+    properties: schema.properties || {},
+  };
+  if (schema.required?.length) {
+    parameters.required = schema.required;
+  }
+  return {
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description || tool.annotations?.title || "",
+      parameters,
+    },
+  };
+}
 
 /**
  * MCP Helper class
+ * MCP client over the streamable HTTP transport: the session is negotiated
+ * with an initialize request on the first call (protocol version and
+ * capabilities), its Mcp-Session-Id is sent with the next calls, and the
+ * responses are read either as JSON or as server-sent events.
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/basic/transports
  */
 export class McpHelper {
   /**
    * @param {string} mcpUrl - MCP server URL
+   * @param {object} [options]
+   * @param {string} [options.name] - server name
+   * @param {string} [options.apiKey] - API key (Bearer token)
+   * @param {JSON} [options.headers] - additional HTTP headers
+   * @param {string} [options.prefix] - tool names prefix (see McpRouter)
+   * @param {string|URL} [options.toolsFile] - offline tools list (tools/list result JSON)
+   * @param {number} [options.timeout] - request timeout (seconds)
+   * @param {string} [options.logLevel] - log level
    */
-  constructor(mcpUrl = process.env.MCP_URL || "") {
+  constructor(mcpUrl = process.env.MCP_URL || "", options = {}) {
     if (!mcpUrl) {
       throw new Error("[mcp] URL is missing.");
     }
 
+    this.name = options.name || "mcp";
     this.mcpUrl = mcpUrl;
+    this.apiKey = options.apiKey ?? process.env.MCP_API_KEY ?? "";
+    this.headers = options.headers || {};
+    this.prefix = options.prefix || "";
+    this.toolsFile = options.toolsFile || null;
+    this.timeout = Number(
+      options.timeout || process.env.LLM_BRIDGE_MCP_TIMEOUT || 30
+    );
+    this.logger = new LoggerHelper("Mcp", {
+      level: options.logLevel || process.env.LOG_LEVEL || "info",
+    });
 
-    /*
-      Create the tools schema list
-      Tool schema example (https://ollama.com/blog/streaming-tool):
-      {
-        type: 'function',
-        function: {
-           name: 'addTwoNumbers',
-           description: 'Add two numbers together',
-           parameters: {
-              type: 'object',
-              required: ['a', 'b'],
-              properties: {
-                a: { type: 'number', description: 'The first number' },
-                b: { type: 'number', description: 'The second number' }
-              }
-            }
-        }
+    // MCP tools catalog (name -> MCP tool) and its function schema list
+    this.catalog = new Map();
+    this.tools = [];
+    this.toolsSource = null; // "server", "file" or null (see loadTools())
+    this.toolsLoadedAt = 0;
+    this.up = false; // last call reached the server
+
+    // MCP session (see initialize())
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.capabilities = {};
+    this.serverInfo = null;
+    this.initializing = null; // initialize promise, shared by the callers
+    this.nextId = 0; // JSON-RPC request ids
+  }
+
+  /***
+   * MCP helper initializer
+   */
+  async init() {
+    await this.loadTools();
+    return this;
+  }
+
+  /**
+   * Load the tools catalog from the MCP server (tools/list),
+   * falling back to the offline tools file when the server is unreachable
+   */
+  async loadTools() {
+    let tools = null;
+    this.toolsLoadedAt = Date.now();
+
+    try {
+      const response = await this.getToolsList();
+      if (response.error) {
+        throw new Error(response.error.message);
       }
-    */
-    this.tools = [
-      {
-        type: "function",
-        function: {
-          name: "getToolsList",
-          description: "Get the MCP server tools list",
-          parameters: {},
-        },
-      },
-    ];
+      tools = response.result?.tools || [];
+      this.toolsSource = "server";
+    } catch (err) {
+      if (!this.toolsFile) {
+        this.logger.error(`[mcp] ${this.name} tools list not available`, {
+          url: this.mcpUrl,
+          error: err.message,
+        });
+        return this.tools;
+      }
+      this.logger.warn(
+        `[mcp] ${this.name} tools list fetch failed, using offline file`,
+        {
+          url: this.mcpUrl,
+          file: this.toolsFile.toString(),
+          error: err.message,
+        }
+      );
+      tools = JSON.parse(await fs.readFile(this.toolsFile, "utf8")).tools;
+      this.toolsSource = "file";
+    }
+
+    this.catalog = new Map(tools.map((tool) => [tool.name, tool]));
+    this.tools = tools.map(toFunctionSchema);
+
+    this.logger.info(`[mcp] ${this.name} tools catalog loaded`, {
+      url: this.mcpUrl,
+      source: this.toolsSource,
+      count: this.tools.length,
+    });
+    return this.tools;
+  }
+
+  /**
+   * Retry fetching the tools catalog from the server if the last load
+   * didn't reach it (ex: MCP server still starting when the bridge came up)
+   * @param {number} [retryInterval] minimum interval between attempts (ms)
+   */
+  async refreshTools(retryInterval = 60000) {
+    if (
+      this.toolsSource !== "server" &&
+      Date.now() - this.toolsLoadedAt >= retryInterval
+    ) {
+      await this.loadTools();
+    }
+    return this.tools;
+  }
+
+  /**
+   * Initialize the MCP session (once, the concurrent callers share it)
+   * a server without initialize method (legacy) is called without session
+   * @throws {Error} unreachable server, HTTP or JSON-RPC error (but -32601, a
+   *   server without initialize), or unsupported protocol
+   */
+  async initialize() {
+    this.initializing ??= this._initialize().catch((err) => {
+      this.initializing = null;
+      throw err;
+    });
+    return await this.initializing;
   }
 
   /**
    * MCP server method caller (JSON-RPC helper)
+   * the session is initialized first, and once more when the server has
+   * forgotten it (404); JSON-RPC and HTTP errors are returned as { error }
    * @param {string} method Method name
    * @param {JSON} params Method params (JSON)
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - abort signal (the call is cancelled)
+   * @param {number} [options.timeout] - request timeout (seconds, default: the server one)
+   * @returns {Promise<JSON>} { result } or { error: { code, message, data } }
+   * @throws {Error} unreachable server, timeout or aborted call
    * @example
    *   method: "tools/list" or "tools/call"
    *   params: { "name": "toolFunction", "arguments": { "param1": "value1", "param2": "value2" } }
    */
-  async methodCall(method, params) {
-    const response = await fetch(`${this.mcpUrl}/mcp`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.MCP_API_KEY}`,
-      },
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        id: "1",
-        method,
-        params,
-      }),
-    });
-    const result = await response.json();
-    if (!response.ok || response.status === 401) {
-      return {
-        error: {
-          message: `MCP Server connection error: ${response.status} - ${response.statusText}`,
-        },
-      };
+  async methodCall(method, params, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.initialize();
+        const response = await this._exchange(
+          { jsonrpc: "2.0", id: ++this.nextId, method, params },
+          options.signal,
+          options.timeout
+        );
+        return response.error ? { error: toError(response.error) } : response;
+      } catch (err) {
+        if (!err.status) {
+          throw err;
+        }
+        if (err.status === 404 && this.sessionId && attempt === 0) {
+          this.logger.info(`[mcp] ${this.name} session expired`, {
+            url: this.mcpUrl,
+          });
+          this._resetSession(this.sessionId);
+          continue;
+        }
+        return {
+          error: err.rpcError
+            ? toError(err.rpcError)
+            : { message: err.message },
+        };
+      }
     }
-    return result;
   }
 
   /**
    * Tool caller
    * @param {JSON} tool Tool function with arguments
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - abort signal
+   * @param {number} [options.timeout] - call timeout (seconds)
    * @returns Tool response (JSON)
    * @example
    *   tool: { "name": "toolFunction", "arguments": { "param1": "value1", "param2": "value2" } }
    */
-  async toolCall(tool) {
-    return await this.methodCall("tools/call", tool);
+  async toolCall(tool, options = {}) {
+    return await this.methodCall("tools/call", tool, options);
   }
 
   /**
-   * Return MCP server tools list
+   * Return MCP server tools list (every page of it)
    * @returns Tools list ([JSON])
    */
   async getToolsList() {
-    return await this.methodCall("tools/list", {});
+    const tools = [];
+    const cursors = new Set();
+    let cursor;
+    do {
+      cursors.add(cursor);
+      const response = await this.methodCall(
+        "tools/list",
+        cursor ? { cursor } : {}
+      );
+      if (response.error) {
+        return response;
+      }
+      tools.push(...(response.result?.tools || []));
+      cursor = response.result?.nextCursor;
+    } while (cursor && !cursors.has(cursor));
+    return { result: { tools } };
   }
 
   /***
-   * Execute tools
+   * Execute tools (concurrently)
+   * a failed call becomes its error result, as with McpRouter.executeTools
    * @param {[json]} tool_calls tool_calls list
-   * @returns results [ { name, content } ]
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - abort signal
+   * @param {number} [options.parallelism] - max concurrent calls (default: all)
+   * @returns results [ { name, result } or { name, error } ]
+   * @throws {Error} aborted calls
    */
-  async executeTools(tool_calls) {
-    let results = [];
-    for (const toolCall of tool_calls) {
-      const result = await this.executeTool(toolCall);
-      result.name = toolCall.function.name;
-      results.push(result);
-    }
-    return results;
+  async executeTools(tool_calls, options = {}) {
+    return await mapLimit(
+      tool_calls,
+      options.parallelism || tool_calls.length,
+      async (toolCall) => {
+        let result;
+        try {
+          result = await this.executeTool(toolCall, options);
+        } catch (err) {
+          if (options.signal?.aborted) {
+            throw err;
+          }
+          this.logger.error(`[mcp] ${this.name} tool call failed`, {
+            tool: toolCall.function.name,
+            error: err.message,
+          });
+          result = { error: { message: `MCP server error: ${err.message}` } };
+        }
+        result.name = toolCall.function.name;
+        return result;
+      }
+    );
   }
 
   /***
    * Execute a tool
    * @param {json} toolCall
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - abort signal
+   * @param {number} [options.timeout] - call timeout (seconds)
    * @returns {json} result
    * @example
    *   toolCall: { function: { name: "name", arguments: { param1: "value1", ... } } }
    */
-  async executeTool(toolCall) {
-    if (toolCall.function.name === "getToolsList") {
-      return await this.getToolsList();
+  async executeTool(toolCall, options = {}) {
+    const name = toolCall.function.name;
+    if (!this.catalog.has(name)) {
+      return { error: { message: `Unknown tool: ${name}` } };
     }
-    return toolCall.function;
+
+    const { args, error } = this.validateToolCall(toolCall);
+    if (error) {
+      return { error };
+    }
+    return await this.toolCall({ name, arguments: args }, options);
+  }
+
+  /**
+   * Validate the arguments of a tool call against the tool input schema
+   * (with the safe coercions, ex: "60" to 60 for an integer, see ToolSchema)
+   * @param {json} toolCall tool call (known tool)
+   * @returns {json} { args } arguments to send, or { error } with the
+   *   validation errors (code "invalid_arguments")
+   */
+  validateToolCall(toolCall) {
+    const name = toolCall.function.name;
+    let args = toolCall.function.arguments || {};
+    let errors;
+    try {
+      if (typeof args === "string") {
+        args = args.trim() ? JSON.parse(args) : {};
+      }
+      ({ value: args, errors } = validateArguments(
+        this.catalog.get(name)?.inputSchema,
+        args
+      ));
+    } catch (err) {
+      errors = [err.message];
+    }
+    if (!errors.length) {
+      return { args };
+    }
+    return {
+      error: {
+        code: "invalid_arguments",
+        message: `Invalid arguments for ${name}: ${errors.join("; ")}. Call it again with arguments matching its schema.`,
+      },
+    };
+  }
+
+  /**
+   * Initialize handshake: initialize request (protocol version, client
+   * capabilities and info), then the initialized notification
+   * @throws {Error} unreachable server, HTTP or JSON-RPC error (but -32601, a
+   *   server without initialize), or unsupported protocol
+   */
+  async _initialize() {
+    const response = await this._exchange({
+      jsonrpc: "2.0",
+      id: ++this.nextId,
+      method: "initialize",
+      params: {
+        protocolVersion: PROTOCOL_VERSIONS[0],
+        capabilities: {},
+        clientInfo: CLIENT_INFO,
+      },
+    });
+    const result = response.result || {};
+    if (
+      response.error?.code === -32601 ||
+      (!response.error && !result.protocolVersion)
+    ) {
+      this.logger.warn(`[mcp] ${this.name} server without initialize`, {
+        url: this.mcpUrl,
+      });
+      return;
+    }
+    if (response.error) {
+      throw new Error(
+        `[mcp] ${this.name} initialize failed: ${toError(response.error).message}`
+      );
+    }
+
+    if (!PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+      throw new Error(
+        `[mcp] ${this.name} unsupported protocol version '${result.protocolVersion}'`
+      );
+    }
+    this.protocolVersion = result.protocolVersion;
+    this.capabilities = result.capabilities || {};
+    this.serverInfo = result.serverInfo || null;
+    await this._exchange({
+      jsonrpc: "2.0",
+      method: "notifications/initialized",
+    });
+
+    this.logger.info(`[mcp] ${this.name} session initialized`, {
+      url: this.mcpUrl,
+      protocol: this.protocolVersion,
+      server: this.serverInfo,
+      session: Boolean(this.sessionId),
+    });
+  }
+
+  /**
+   * Forget the MCP session (the next call initializes a new one)
+   * @param {string} sessionId expired session (kept if already replaced)
+   */
+  _resetSession(sessionId) {
+    if (this.sessionId !== sessionId) {
+      return;
+    }
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.initializing = null;
+  }
+
+  /**
+   * Send a JSON-RPC message to the server (POST /mcp) and read its response
+   * the request is cancelled (notifications/cancelled) on timeout or abort
+   * @param {JSON} message JSON-RPC request, notification or response
+   * @param {AbortSignal} [signal] abort signal
+   * @param {number} [timeout] request timeout (seconds)
+   * @returns {Promise<JSON>} JSON-RPC response, null for the notifications
+   *   and responses
+   * @throws {Error} unreachable server, timeout, aborted call, or HTTP error
+   *   ({ status, rpcError })
+   */
+  async _exchange(message, signal, timeout = this.timeout) {
+    const headers = {
+      ...this.headers,
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+    };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    if (this.sessionId) {
+      headers["Mcp-Session-Id"] = this.sessionId;
+    }
+    if (this.protocolVersion) {
+      headers["MCP-Protocol-Version"] = this.protocolVersion;
+    }
+    const isRequest = message.method && message.id !== undefined;
+
+    signal?.throwIfAborted();
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", abort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout * 1000);
+
+    try {
+      let response;
+      try {
+        response = await fetch(`${this.mcpUrl}/mcp`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(message),
+          signal: controller.signal,
+        });
+      } catch (err) {
+        this.up = false;
+        throw err;
+      }
+      this.up = response.ok;
+      this.sessionId = response.headers.get("mcp-session-id") || this.sessionId;
+
+      if (!response.ok) {
+        let rpcError = null;
+        try {
+          rpcError = JSON.parse(await response.text()).error || null;
+        } catch {
+          // not a JSON-RPC error body
+        }
+        throw Object.assign(
+          new Error(
+            `MCP Server connection error: ${response.status} - ${response.statusText}`
+          ),
+          { status: response.status, rpcError }
+        );
+      }
+      if (!isRequest || response.status === 202) {
+        await response.text();
+        return null;
+      }
+      if (response.headers.get("content-type")?.includes("text/event-stream")) {
+        return await this._readStream(response, message.id);
+      }
+      return await response.json();
+    } catch (err) {
+      if (
+        isRequest &&
+        message.method !== "initialize" &&
+        (timedOut || signal?.aborted)
+      ) {
+        // the server may still be working on it
+        this._cancel(message.id, timedOut ? "timeout" : "aborted");
+      }
+      if (timedOut) {
+        throw Object.assign(
+          new Error(
+            `[mcp] ${this.name} ${message.method} timed out after ${timeout}s`
+          ),
+          { timeout: true }
+        );
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    }
+  }
+
+  /**
+   * Read an SSE response stream up to the response of a request
+   * the server requests sent on the stream are answered (ping), its
+   * notifications (progress, logging) are ignored
+   * @param response fetch response (text/event-stream)
+   * @param {number} id request id
+   * @returns {Promise<JSON>} JSON-RPC response
+   * @throws {Error} stream closed before the response
+   */
+  async _readStream(response, id) {
+    for await (const data of readEvents(response.body)) {
+      const message = JSON.parse(data);
+      if (message.id === id && !message.method) {
+        return message;
+      }
+      if (message.method && message.id !== undefined) {
+        this._reply(message);
+      }
+    }
+    throw new Error(`[mcp] ${this.name} stream closed without response`);
+  }
+
+  /**
+   * Answer a server request (ping, the other methods aren't supported)
+   * @param {JSON} request JSON-RPC request from the server
+   */
+  _reply(request) {
+    const reply =
+      request.method === "ping"
+        ? { result: {} }
+        : {
+            error: {
+              code: -32601,
+              message: `${JSONRPC_ERRORS[-32601]}: ${request.method}`,
+            },
+          };
+    this._exchange({ jsonrpc: "2.0", id: request.id, ...reply }).catch((err) =>
+      this.logger.warn(`[mcp] ${this.name} reply not sent`, {
+        method: request.method,
+        error: err.message,
+      })
+    );
+  }
+
+  /**
+   * Cancel a pending request (notifications/cancelled, not awaited)
+   * @param {number} id request id
+   * @param {string} reason cancel reason
+   */
+  _cancel(id, reason) {
+    this._exchange({
+      jsonrpc: "2.0",
+      method: "notifications/cancelled",
+      params: { requestId: id, reason },
+    }).catch((err) =>
+      this.logger.debug(`[mcp] ${this.name} cancel not sent`, {
+        id,
+        error: err.message,
+      })
+    );
   }
 }
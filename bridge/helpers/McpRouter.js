@@ -0,0 +1,308 @@
+import fs from "fs";
+import path from "path";
+import { LoggerHelper } from "./LoggerHelper.js";
+import { McpHelper, mapLimit } from "./McpHelper.js";
+import { GrafanaMcp } from "./GrafanaMcp.js";
+import { parsePairs } from "./LlmRouter.js";
+
+/**
+ * MCP Router class
+ * MCP servers listed in a JSON servers file (LLM_BRIDGE_MCP_SERVERS_FILE),
+ * or mcp-grafana alone (MCP_URL) without it. Their tools are merged into one
+ * list, named with the server prefix, and the tool calls are routed back to
+ * their server: the tool calls of a batch run concurrently (up to the
+ * parallelism), each one within its tool timeout and all of them within the
+ * batch timeout.
+ * @example servers file
+ *   {
+ *     "servers": [
+ *       { "name": "grafana", "url": "http://mcp-grafana:8000",
+ *         "tools_file": "resources/tools.list.json" },
+ *       { "name": "prometheus", "url": "http://mcp-prometheus:8080",
+ *         "prefix": "prom_", "headers": { "X-Scope-OrgID": "tenant-1" } }
+ *     ]
+ *   }
+ */
+export class McpRouter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.serversFile] - MCP servers file path
+   * @param {Map} [options.servers] - servers by name (default: servers file)
+   * @param {number} [options.parallelism] - max concurrent tool calls of a batch
+   * @param {number} [options.batchTimeout] - tool calls batch timeout (seconds)
+   * @param {string} [options.toolTimeouts] - tool call timeouts by tool ("tool=seconds,...")
+   * @param {Function} [options.onCall] - tool call callback (server, tool, seconds, failed)
+   * @param {Function} [options.onHealth] - server health callback (server, up)
+   * @param {Function} [options.withSpan] - tool call span wrapper (name, attributes, fn)
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(options = {}) {
+    this.logLevel = options.logLevel || process.env.LOG_LEVEL || "info";
+    this.logger = new LoggerHelper("Mcp", { level: this.logLevel });
+    this.serversFile =
+      options.serversFile ?? process.env.LLM_BRIDGE_MCP_SERVERS_FILE ?? "";
+    this.parallelism = Number(
+      options.parallelism || process.env.LLM_BRIDGE_MCP_PARALLELISM || 4
+    );
+    this.batchTimeout = Number(
+      options.batchTimeout || process.env.LLM_BRIDGE_MCP_BATCH_TIMEOUT || 60
+    );
+    this.toolTimeouts = new Map(
+      parsePairs(
+        options.toolTimeouts ?? process.env.LLM_BRIDGE_MCP_TOOL_TIMEOUTS
+      )
+        .map(([tool, seconds]) => [tool, Number(seconds)])
+        .filter(([, seconds]) => seconds > 0)
+    );
+    this.onCall = options.onCall || (() => {});
+    this.onHealth = options.onHealth || (() => {});
+    this.withSpan = options.withSpan || ((name, attributes, fn) => fn({}));
+
+    this.servers = options.servers || this._createServers();
+  }
+
+  /***
+   * MCP router initializer (loads the tools of every server)
+   */
+  async init() {
+    await Promise.all(
+      [...this.servers.values()].map(async (server) => {
+        await server.init();
+        this.onHealth(server.name, server.up);
+      })
+    );
+    this.logger.info("[mcp] MCP servers initialized", {
+      servers: [...this.servers.values()].map(
+        (server) => `${server.name}=${server.toolsSource || "none"}`
+      ),
+    });
+    return this;
+  }
+
+  /**
+   * Check if an MCP server is configured
+   * @param {string} name server name
+   * @returns {boolean} true if known
+   */
+  has(name) {
+    return this.servers.has(name);
+  }
+
+  /**
+   * Merged tools list of some servers (retrying the ones not reached yet)
+   * a tool name already taken by a previous server is skipped
+   * @param {[string]} [names] server names (default: all)
+   * @returns {Promise<[JSON]>} function tool schemas, with prefixed names
+   */
+  async refreshTools(names = [...this.servers.keys()]) {
+    const tools = new Map();
+    for (const server of this._select(names)) {
+      const wasUp = server.up;
+      for (const tool of await server.refreshTools()) {
+        const name = `${server.prefix}${tool.function.name}`;
+        if (tools.has(name)) {
+          this.logger.warn(`[mcp] ${server.name} tool ${name} skipped`, {
+            reason: "name already used, set a server prefix",
+          });
+          continue;
+        }
+        tools.set(name, {
+          ...tool,
+          function: { ...tool.function, name },
+        });
+      }
+      if (server.up !== wasUp) {
+        this.onHealth(server.name, server.up);
+      }
+    }
+    return [...tools.values()];
+  }
+
+  /**
+   * Find the server and MCP tool of a tool name
+   * @param {string} name tool name (prefixed)
+   * @param {[string]} [names] servers to look in (default: all)
+   * @returns {JSON} { server, tool } MCP server and tool (with its
+   *   annotations), or null
+   */
+  find(name, names = [...this.servers.keys()]) {
+    for (const server of this._select(names)) {
+      const tool =
+        name.startsWith(server.prefix) &&
+        server.catalog.get(name.slice(server.prefix.length));
+      if (tool) {
+        return { server, tool };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate the arguments of a tool call (see McpHelper.validateToolCall)
+   * @param {JSON} toolCall tool call (prefixed name)
+   * @param {[string]} [names] servers the tool can be called on (default: all)
+   * @returns {JSON} validation error, or null (valid or unknown tool)
+   */
+  validate(toolCall, names = [...this.servers.keys()]) {
+    const found = this.find(toolCall.function.name, names);
+    if (!found) {
+      return null;
+    }
+    return (
+      found.server.validateToolCall({
+        ...toolCall,
+        function: { ...toolCall.function, name: found.tool.name },
+      }).error || null
+    );
+  }
+
+  /**
+   * Execute tool calls on their servers (concurrently, see parallelism)
+   * the calls still running at the batch timeout are cancelled, their
+   * error entries come with the results of the other ones
+   * @param {[JSON]} toolCalls tool calls (prefixed names)
+   * @param {[string]} [names] servers the tools can be called on (default: all)
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - abort signal (pending calls cancelled)
+   * @returns {Promise<[JSON]>} results [ { name, result } or { name, error } ],
+   *   in the tool calls order
+   * @throws {Error} aborted calls
+   */
+  async executeTools(
+    toolCalls,
+    names = [...this.servers.keys()],
+    options = {}
+  ) {
+    const batch = new AbortController();
+    const timer = setTimeout(() => batch.abort(), this.batchTimeout * 1000);
+    try {
+      return await mapLimit(toolCalls, this.parallelism, async (toolCall) => {
+        const name = toolCall.function.name;
+        const found = this.find(name, names);
+        let result;
+        if (!found) {
+          result = { error: { message: `Unknown tool: ${name}` } };
+        } else {
+          result = await this._executeTool(
+            found.server,
+            {
+              ...toolCall,
+              function: { ...toolCall.function, name: found.tool.name },
+            },
+            {
+              signal: options.signal,
+              batch: batch.signal,
+              timeout: this.toolTimeouts.get(name),
+            }
+          );
+        }
+        result.name = name;
+        return result;
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Execute a tool call on a server (timed, a failure becomes its result)
+   * recorded as its own "mcpTool" span
+   * @param {McpHelper} server MCP server
+   * @param {JSON} toolCall tool call (server tool name)
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - abort signal
+   * @param {AbortSignal} [options.batch] - batch timeout signal
+   * @param {number} [options.timeout] - tool call timeout (seconds)
+   * @returns {Promise<JSON>} result
+   * @throws {Error} aborted call
+   */
+  async _executeTool(server, toolCall, options = {}) {
+    const tool = toolCall.function.name;
+    return await this.withSpan(
+      "mcpTool",
+      { "mcp.server": server.name, "mcp.tool": tool },
+      async (ctx) => {
+        const start = Date.now();
+        let result;
+        try {
+          result = await server.executeTool(toolCall, {
+            signal: AbortSignal.any(
+              [options.signal, options.batch].filter(Boolean)
+            ),
+            timeout: options.timeout,
+          });
+        } catch (err) {
+          if (options.signal?.aborted) {
+            throw err;
+          }
+          const error = options.batch?.aborted
+            ? `not finished within the ${this.batchTimeout}s tool calls timeout`
+            : err.message;
+          this.logger.error(`[mcp] ${server.name} tool call failed`, {
+            tool,
+            error,
+          });
+          result = { error: { message: `MCP server error: ${error}` } };
+        }
+        const failed = Boolean(result.error || result.result?.isError);
+        ctx.span?.setAttribute("mcp.failed", failed);
+        this.onCall(server.name, tool, (Date.now() - start) / 1000, failed);
+        this.onHealth(server.name, server.up);
+        return result;
+      }
+    );
+  }
+
+  /**
+   * Servers by names
+   * @param {[string]} names server names
+   * @returns {[McpHelper]} servers
+   */
+  _select(names) {
+    return names.map((name) => this.servers.get(name)).filter(Boolean);
+  }
+
+  /**
+   * Servers from the servers file, or mcp-grafana (MCP_URL, MCP_API_KEY)
+   * API keys: LLM_BRIDGE_MCP_API_KEYS ("name=key,..."), MCP_API_KEY for grafana
+   * @returns {Map} servers by name
+   * @throws {Error} unreadable or invalid servers file (configuration error)
+   */
+  _createServers() {
+    const servers = new Map();
+    if (!this.serversFile) {
+      const grafana = new GrafanaMcp({ logLevel: this.logLevel });
+      servers.set(grafana.name, grafana);
+      return servers;
+    }
+
+    const apiKeys = new Map(parsePairs(process.env.LLM_BRIDGE_MCP_API_KEYS));
+    const data = JSON.parse(fs.readFileSync(this.serversFile, "utf8"));
+    for (const entry of data.servers || []) {
+      if (!/^[a-zA-Z][\w-]*$/.test(entry.name || "") || !entry.url) {
+        throw new Error(
+          `[mcp] server name and url are required (${this.serversFile})`
+        );
+      }
+      if (servers.has(entry.name)) {
+        throw new Error(`[mcp] duplicate server '${entry.name}'`);
+      }
+      if (entry.disabled) {
+        continue;
+      }
+      const server = new McpHelper(entry.url, {
+        name: entry.name,
+        apiKey:
+          apiKeys.get(entry.name) ??
+          (entry.name === "grafana" ? process.env.MCP_API_KEY : "") ??
+          "",
+        headers: entry.headers,
+        prefix: entry.prefix,
+        toolsFile: entry.tools_file ? path.resolve(entry.tools_file) : null,
+        logLevel: this.logLevel,
+      });
+      servers.set(entry.name, server);
+    }
+    return servers;
+  }
+}
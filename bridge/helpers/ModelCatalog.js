@@ -0,0 +1,145 @@
+import { OpenAIError } from "./OpenAIError.js";
+
+/**
+ * Model tier variables (.env), ex: LLM_CHAT_LIGHT=deepseek-r1:1.5b -> "chat-light"
+ */
+const ALIAS_PATTERN = /^LLM_(CHAT|CODER|EMBED)_([A-Z0-9_]+)$/;
+
+/**
+ * Model tag normalizer (Ollama defaults to the "latest" tag)
+ * @param {string} model model name
+ * @returns {string} model tag
+ */
+function normalizeTag(model) {
+  return model.includes(":") ? model : `${model}:latest`;
+}
+
+/**
+ * Model Catalog class
+ * Model aliases configured from the LLM_CHAT_*, LLM_CODER_* and LLM_EMBED_*
+ * environment variables, and the allow-list of models clients can request.
+ */
+export class ModelCatalog {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.aliases] - enable model aliases
+   * @param {string} [options.defaultModel] - bridge default model
+   * @param {string} [options.defaultEmbedModel] - bridge default embedding model
+   * @param {string} [options.defaultCoderModel] - bridge default completion (coder) model
+   * @param {[string]} [options.allowedModels] - allowed models ("*" for any)
+   * @param {object} [options.env] - environment variables
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.defaultModel =
+      options.defaultModel || env.OLLAMA_DEFAULT_MODEL || "deepseek-r1:1.5b";
+    this.defaultEmbedModel =
+      options.defaultEmbedModel ||
+      env.OLLAMA_DEFAULT_EMBED_MODEL ||
+      env.LLM_EMBED_LIGHT ||
+      "nomic-embed-text:v1.5";
+    this.defaultCoderModel =
+      options.defaultCoderModel ||
+      env.OLLAMA_DEFAULT_CODER_MODEL ||
+      env.LLM_CODER_ULTRA_LIGHT ||
+      "qwen2.5-coder:0.5b";
+    const aliasesEnabled =
+      options.aliases ?? env.LLM_BRIDGE_MODEL_ALIASES !== "false";
+
+    // alias name -> Ollama model tag
+    this.aliases = new Map();
+    if (aliasesEnabled) {
+      for (const [key, value] of Object.entries(env)) {
+        const match = key.match(ALIAS_PATTERN);
+        if (match && value?.trim()) {
+          const alias = `${match[1]}-${match[2]}`
+            .toLowerCase()
+            .replace(/_/g, "-");
+          this.aliases.set(alias, value.trim());
+        }
+      }
+    }
+
+    // allow-list: configured list or the default model plus the model tiers
+    const allowedModels =
+      options.allowedModels ||
+      (env.LLM_BRIDGE_ALLOWED_MODELS || "")
+        .split(",")
+        .map((model) => model.trim())
+        .filter(Boolean);
+    this.allowedModels = new Set(
+      allowedModels.length
+        ? allowedModels.map((model) =>
+            model === "*" ? model : normalizeTag(model)
+          )
+        : [
+            this.defaultModel,
+            this.defaultEmbedModel,
+            this.defaultCoderModel,
+            ...Object.entries(env)
+              .filter(([key, value]) => ALIAS_PATTERN.test(key) && value)
+              .map(([, value]) => value.trim()),
+          ].map(normalizeTag)
+    );
+  }
+
+  /**
+   * Check if a model can be requested
+   * @param {string} model model name or alias
+   * @returns {boolean} true if allowed
+   */
+  isAllowed(model) {
+    if (this.allowedModels.has("*")) {
+      return true;
+    }
+    // an alias is allowed when its target is
+    return this.allowedModels.has(
+      normalizeTag(this.aliases.get(model) || model)
+    );
+  }
+
+  /**
+   * Resolve the requested model into the Ollama model tag
+   * @param {string} [model] requested model name or alias
+   * @param {string} [defaultModel] model used when none is requested
+   * @returns {string} Ollama model tag
+   * @throws {OpenAIError} 400 if the model isn't on the allow-list
+   */
+  resolve(model, defaultModel = this.defaultModel) {
+    const name = model?.trim();
+    if (!name || name === "default" || name === "OLLAMA_DEFAULT_MODEL") {
+      return defaultModel;
+    }
+    if (!this.isAllowed(name)) {
+      throw new OpenAIError(
+        `The model '${name}' does not exist or is not allowed on this bridge`,
+        { status: 400, param: "model", code: "model_not_found" }
+      );
+    }
+    return this.aliases.get(name) || name;
+  }
+
+  /**
+   * OpenAI models list (allowed models only) with aliases of the installed models
+   * @param {[JSON]} models installed models (OpenAI format)
+   * @returns {[JSON]} models and aliases (OpenAI format)
+   */
+  withAliases(models) {
+    models = models.filter((model) => this.isAllowed(model.id));
+    const installed = new Map(models.map((model) => [model.id, model]));
+    const aliases = [];
+    for (const [alias, target] of this.aliases) {
+      const model =
+        installed.get(target) || installed.get(`${target}:latest`);
+      if (model) {
+        aliases.push({
+          ...model,
+          id: alias,
+          owned_by: "llm-bridge",
+          root: target,
+        });
+      }
+    }
+    return [...models, ...aliases];
+  }
+}
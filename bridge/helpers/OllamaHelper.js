@@ -1,293 +1,146 @@
-import crypto from "crypto";
 import { Ollama } from "ollama";
-import { LoggerHelper } from "./LoggerHelper.js";
+import { LlmHelper } from "./LlmHelper.js";
 
 /**
  * Ollama Helper class
+ * Ollama backend (chat, generate and embed APIs of the ollama js client)
  */
-export class OllamaHelper {
+export class OllamaHelper extends LlmHelper {
   /**
-   * @param {string} [ollamaHost] - Ollama URL
-   * @param {string} [logLevel] - log level
+   * @param {object} [options]
+   * @param {string} [options.name] - backend name
+   * @param {string} [options.ollamaHost] - Ollama URL
+   * @param {number} [options.contextLength] - Ollama default context length (tokens)
+   * @param {string} [options.logLevel] - log level
    */
   constructor(options = {}) {
-    const logLevel = options.logLevel || process.env.LOG_LEVEL || "info";
+    super(options.name || "ollama", options);
     const ollamaHost =
       options.ollamaHost || process.env.OLLAMA_HOST || "http://ollama:11434";
-    this.logger = new LoggerHelper("Ollama", { level: logLevel });
+    this.ollamaHost = ollamaHost;
     this.ollama = new Ollama({ host: ollamaHost });
+    // the OLLAMA_CONTEXT_LENGTH of the Ollama server
+    this.defaultContextLength = Number(
+      options.contextLength || process.env.OLLAMA_CONTEXT_LENGTH || 4096
+    );
+
+    // model -> context length (see contextLength())
+    this.contextLengths = new Map();
 
     this.logger.debug("[ollama] LLM service initialized", {
       host: ollamaHost,
     });
   }
 
-  /***
-   * Get helper object from HTTP request
-   * @param req HTTP request object
-   * @param res HTTP response object
-   * @returns helper object
-   * helper: { prompt, answer, res }
-   * prompt: { model, stream, tools, tool_calls, messages: [ { role: "user", content: "text", } ] }
-   * answer: { id, created, stream, model, defaultModel, content }
+  /**
+   * Ollama chat API
+   * @param {JSON} request { model, messages, tools, options, format, stream, signal }
    */
-  getHelperFromRequest(req, res) {
-    try {
-      const body = req.body;
-      const prompt = body.messages
-        ? body
-        : body.prompt || body.input || JSON.stringify(body);
-      const defaultModel =
-        process.env.OLLAMA_DEFAULT_MODEL || "deepseek-r1:1.5b";
-
-      if (prompt.model) {
-        if (
-          prompt.model.trim() === "" ||
-          prompt.model === "default" ||
-          prompt.model === "OLLAMA_DEFAULT_MODEL"
-        ) {
-          prompt.model = defaultModel;
-        }
-      } else {
-        prompt.model = defaultModel;
-      }
-
-      const answer = {
-        id: "",
-        created: 0,
-        stream: (prompt.stream || body.stream) === true,
-        model: prompt.model,
-        defaultModel,
-        content: "",
-        tool_calls: [],
-      };
-
-      this.logger.debug("[ollama] prompt received", { prompt });
-
-      return { prompt, answer, res };
-    } catch (err) {
-      this.logger.error("[ollama] internal error", { error: err.message });
-      throw err;
-    }
+  async chat({ signal, ...request }) {
+    return await this._client(signal).chat(request);
   }
 
-  /***
-   * Check prompt integrity (OWASP)
-   * @param helper Ollama helper object
-   * @returns true/false
-   * @see
-   * https://owasp.org/www-project-top-10-for-large-language-model-applications/
-   * https://genai.owasp.org/llm-top-10/
+  /**
+   * Ollama generate API
+   * @param {JSON} request { model, prompt, suffix, options, stream, signal }
    */
-  checkOWASP() {
-    // LLM01: Prompt Injection
-    // LLM02: Sensitive Information Disclosure
-    // LLM03: Supply Chain
-    // LLM04: Data and Model Poisoning
-    // LLM05: Improper Output Handling
-    // LLM06: Excessive Agency
-    // LLM07: System Prompt Leakage
-    // LLM08: Vector and Embedding Weaknesses
-    // LLM09: Misinformation
-    // LLM10: Unbounded Consumption
-    return true;
+  async generate({ signal, ...request }) {
+    return await this._client(signal).generate(request);
   }
 
   /**
-   * LLM caller (Ollama API helper)
-   * @param helper Helper object { model, messages: [{ role: "user", content: "text" }] }
+   * Ollama embed API
+   * @param {JSON} request { model, input, dimensions, signal }
    */
-  async callLLM(helper) {
-    try {
-      const response = await this.ollama.chat({
-        model: helper.answer.model,
-        messages: helper.prompt.messages,
-        tools: helper.prompt.tools,
-        stream: false,
-      });
-      helper.answer.tool_calls = response.message.tool_calls;
-      helper.answer.content =
-        response?.message?.content || JSON.stringify(response);
-    } catch (err) {
-      this.logger.error("[ollama] LLM call failed", {
-        error: err.message,
-        stack: err.stack,
-        prompt: helper.prompt,
-      });
-      throw err;
-    }
+  async embed({ signal, ...request }) {
+    return await this._client(signal).embed(request);
   }
 
   /**
-   * OpenAI compatible chat completions router helper
-   * @param helper Helper object
+   * Ollama client of a call
+   * ollama.abort() cancels every stream of a client, so abortable calls
+   * get their own client with the signal on its requests
+   * @param {AbortSignal} [signal] call abort signal
+   * @returns {Ollama} Ollama client
    */
-  async answerChat(helper) {
-    try {
-      helper.answer.id = `chatcmpl-${crypto.randomUUID()}`;
-      helper.answer.created = Math.floor(Date.now() / 1000);
-
-      if (helper.answer.stream) {
-        this.logger.debug(
-          "[ollama] response as stream requested by the chat client"
-        );
-        this._setupStream(helper);
-      }
-
-      const response = await this._processPrompt(helper);
-
-      if (!helper.answer.stream) {
-        helper.res.json(response);
-      }
-    } catch (err) {
-      this.logger.error("[ollama] internal error", {
-        error: err.message,
-        stack: err.stack,
-        answer: helper.answer,
-        prompt: helper.prompt,
-      });
-      throw err;
+  _client(signal) {
+    if (!signal) {
+      return this.ollama;
     }
+    return new Ollama({
+      host: this.ollamaHost,
+      fetch: (url, init) =>
+        fetch(url, {
+          ...init,
+          signal: init?.signal
+            ? AbortSignal.any([init.signal, signal])
+            : signal,
+        }),
+    });
   }
 
   /**
-   * Prompt processor helper
-   * @param helper Helper object
+   * Context length a model runs with (Ollama show API, cached)
+   * the num_ctx parameter of its Modelfile, otherwise the Ollama default
+   * context length within the model's own limit: Ollama cuts the longer
+   * prompts from their start
+   * @param {string} model model name
+   * @returns {Promise<number>} tokens, or null (model not found)
    */
-  async _processPrompt(helper) {
-    if (helper.answer.stream) {
-      if (!helper.answer.content || helper.answer.content.trim() === "") {
-        this.logger.debug("[ollama] asking LLM for a streaming response", {
-          model: helper.answer.model,
-          prompt: helper.prompt,
-        });
-        helper.answer.content = await this._streamLLMResponse(helper);
-      } else {
-        this._writeStreamChunk(helper, helper.answer.content);
-      }
-      this._endStream(helper);
-      this.logger.debug("[ollama] LLM answer", {
-        message: helper.answer.content,
-      });
-      return {};
-    } else {
-      if (!helper.answer.content || helper.answer.content.trim() === "") {
-        this.logger.debug("[ollama] asking LLM for a response", {
-          model: helper.answer.model,
-          prompt: helper.prompt,
-        });
-        await this.callLLM(helper);
-      }
-      this.logger.debug("[ollama] LLM answer", {
-        message: helper.answer.content,
+  async contextLength(model) {
+    if (this.contextLengths.has(model)) {
+      return this.contextLengths.get(model);
+    }
+    try {
+      const response = await this.ollama.show({ model });
+      const numCtx = /^num_ctx\s+(\d+)/m.exec(response.parameters || "");
+      const info = response.model_info || {};
+      const architecture = info["general.architecture"];
+      const limit = Number(info[`${architecture}.context_length`]) || Infinity;
+      const length = numCtx
+        ? Number(numCtx[1])
+        : Math.min(this.defaultContextLength, limit);
+      this.contextLengths.set(model, length);
+      this.logger.debug(`[ollama] ${model} context length`, { length });
+      return length;
+    } catch (err) {
+      this.logger.warn(`[ollama] ${model} context length not available`, {
+        error: err.message,
       });
-      return this._createResponse(helper);
+      return null;
     }
   }
 
-  /***
-   * Non streaming chat completion response helper
-   * @param helper Helper object
-   */
-  _createResponse(helper) {
-    return {
-      id: helper.answer.id,
-      object: "chat.completion",
-      created: Math.floor(Date.now() / 1000),
-      model: helper.answer.model,
-      choices: [
-        {
-          index: 0,
-          message: { role: "assistant", content: helper.answer.content },
-          finish_reason: "stop",
-        },
-      ],
-      usage: {},
-    };
-  }
-
-  /**
-   * Chat completion streaming header setup (SSE)
-   */
-  _setupStream(helper) {
-    helper.res.setHeader("Content-Type", "text/event-stream");
-    helper.res.setHeader("Cache-Control", "no-cache");
-    helper.res.setHeader("Connection", "keep-alive");
-    helper.res.write(
-      `data: ${JSON.stringify({
-        id: helper.answer.id,
-        object: "chat.completion.chunk",
-        created: helper.answer.created,
-        model: helper.answer.model,
-        choices: [{ index: 0, delta: { role: "assistant" } }],
-      })}\n\n`
-    );
-  }
-
   /**
-   * Chat completion streaming chunk writer (SSE)
+   * Installed models list (Ollama tags API)
+   * @returns {[JSON]} models (OpenAI format)
+   * @example
+   *   [ { id: "deepseek-r1:1.5b", object: "model", created, owned_by: "ollama",
+   *       details: { family, parameter_size, quantization_level, ... } } ]
    */
-  _writeStreamChunk(helper, content) {
-    helper.res.write(
-      `data: ${JSON.stringify({
-        id: helper.answer.id,
-        object: "chat.completion.chunk",
-        created: Math.floor(Date.now() / 1000),
-        model: helper.answer.model,
-        choices: [{ index: 0, delta: { content } }],
-      })}\n\n`
-    );
-  }
-
-  /**
-   * Chat completion streaming response
-   */
-  async _streamLLMResponse(helper) {
-    helper.answer.content = "";
-    helper.answer.tool_calls = [];
-
+  async listModels() {
     try {
-      for await (const chunk of await this.ollama.chat({
-        model: helper.answer.model,
-        messages: helper.prompt.messages,
-        tools: helper.prompt.tools,
-        stream: true,
-      })) {
-        if (chunk.message?.content) {
-          this._writeStreamChunk(helper, chunk.message?.content);
-          helper.answer.content += chunk.message?.content;
-        }
-        if (chunk.message?.tool_calls?.length) {
-          helper.answer.tool_calls = chunk.message.tool_calls;
-        }
-        if (chunk.done) break;
-      }
+      const response = await this.ollama.list();
+      return response.models.map((model) => ({
+        id: model.name || model.model,
+        object: "model",
+        created: Math.floor(new Date(model.modified_at).getTime() / 1000) || 0,
+        owned_by: "ollama",
+        details: {
+          format: model.details?.format,
+          family: model.details?.family,
+          families: model.details?.families,
+          parameter_size: model.details?.parameter_size,
+          quantization_level: model.details?.quantization_level,
+          size: model.size,
+          digest: model.digest,
+        },
+      }));
     } catch (err) {
-      helper.answer.content = "[ollama] error in streaming";
-      this.logger.error(helper.answer.content, {
+      this.logger.error("[ollama] models list failed", {
         error: err.message,
-        answer: helper.answer,
-        prompt: helper.prompt,
       });
-      this._writeStreamChunk(helper, helper.answer.content);
+      throw err;
     }
-    return helper.answer.content;
-  }
-
-  /**
-   * Finalize chat completion streaming (SSE)
-   */
-  _endStream(helper) {
-    helper.res.write(
-      `data: ${JSON.stringify({
-        id: helper.answer.id,
-        object: "chat.completion.chunk",
-        created: Math.floor(Date.now() / 1000),
-        model: helper.answer.model,
-        choices: [{ index: 0, delta: {}, finish_reason: "stop" }],
-      })}\n\n`
-    );
-    helper.res.write("data: [DONE]\n\n");
-    helper.res.end();
   }
 }
@@ -0,0 +1,45 @@
+/**
+ * OpenAI compatible API error
+ * @see https://platform.openai.com/docs/guides/error-codes
+ * @example
+ *   throw new OpenAIError("The model `foo` does not exist", {
+ *     status: 404,
+ *     param: "model",
+ *     code: "model_not_found",
+ *   });
+ */
+export class OpenAIError extends Error {
+  /**
+   * @param {string} message - error message
+   * @param {object} [options]
+   * @param {number} [options.status] - HTTP status code
+   * @param {string} [options.type] - error type (invalid_request_error, ...)
+   * @param {string} [options.param] - request parameter related to the error
+   * @param {string} [options.code] - error code
+   * @param {number} [options.retryAfter] - seconds to wait before a retry (Retry-After header)
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "OpenAIError";
+    this.status = options.status || 400;
+    this.type = options.type || "invalid_request_error";
+    this.param = options.param ?? null;
+    this.code = options.code ?? null;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  /**
+   * OpenAI error response body
+   * @returns {JSON} { error: { message, type, param, code } }
+   */
+  toResponse() {
+    return {
+      error: {
+        message: this.message,
+        type: this.type,
+        param: this.param,
+        code: this.code,
+      },
+    };
+  }
+}
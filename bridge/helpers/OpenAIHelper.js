@@ -0,0 +1,380 @@
+import fetch from "node-fetch";
+import { LlmHelper } from "./LlmHelper.js";
+import { OpenAIError } from "./OpenAIError.js";
+import { readEvents } from "./ServerSentEvents.js";
+
+/**
+ * Ollama options to OpenAI sampling parameters
+ * @param {JSON} options Ollama options (see toOllamaOptions())
+ * @param {string|JSON} [format] Ollama format ("json" or JSON schema)
+ * @returns {JSON} OpenAI request parameters
+ */
+function toOpenAIParams(options = {}, format) {
+  const params = {
+    temperature: options.temperature,
+    top_p: options.top_p,
+    max_tokens: options.num_predict,
+    seed: options.seed,
+    presence_penalty: options.presence_penalty,
+    frequency_penalty: options.frequency_penalty,
+    stop: options.stop,
+  };
+  if (format === "json") {
+    params.response_format = { type: "json_object" };
+  } else if (format && typeof format === "object") {
+    params.response_format = {
+      type: "json_schema",
+      json_schema: { name: "response", schema: format },
+    };
+  }
+  return params;
+}
+
+/**
+ * OpenAI finish reason to Ollama done reason
+ */
+function toDoneReason(finishReason) {
+  return finishReason === "length" ? "length" : "stop";
+}
+
+/**
+ * OpenAI Helper class
+ * OpenAI compatible backend (OpenAI, llama.cpp server, vLLM, LocalAI, ...)
+ * translated from/to the Ollama API shapes used by LlmHelper
+ */
+export class OpenAIHelper extends LlmHelper {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.name] - backend name
+   * @param {string} [options.url] - API base URL (/v1 is added when missing)
+   * @param {string} [options.apiKey] - API key
+   * @param {string} [options.organization] - OpenAI organization id
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(options = {}) {
+    super(options.name || "openai", options);
+    const url = (options.url || process.env.OPENAI_URL || "").replace(
+      /\/+$/,
+      ""
+    );
+    if (!url) {
+      throw new Error(`[${this.name}] URL is missing.`);
+    }
+    this.url = /\/v\d+$/.test(url) ? url : `${url}/v1`;
+    this.apiKey = options.apiKey ?? process.env.OPENAI_API_KEY ?? "";
+    this.organization =
+      options.organization ?? process.env.OPENAI_ORGANIZATION_ID ?? "";
+
+    this.logger.debug(`[${this.name}] LLM service initialized`, {
+      url: this.url,
+    });
+  }
+
+  /**
+   * OpenAI chat completions API (Ollama chat shapes)
+   * @param {JSON} request { model, messages, tools, options, format, stream, signal }
+   * @returns {Promise<JSON|AsyncIterable>} Ollama chat response or chunks
+   */
+  async chat(request) {
+    const response = await this._post("/chat/completions", request.signal, {
+      model: request.model,
+      messages: this._toOpenAIMessages(request.messages),
+      tools: request.tools?.length ? request.tools : undefined,
+      ...toOpenAIParams(request.options, request.format),
+      stream: request.stream === true,
+      stream_options: request.stream ? { include_usage: true } : undefined,
+    });
+
+    if (request.stream) {
+      return this._chatChunks(response);
+    }
+    const data = await response.json();
+    const choice = data.choices?.[0] || {};
+    return {
+      model: data.model,
+      message: this._toOllamaMessage(choice.message),
+      done: true,
+      done_reason: toDoneReason(choice.finish_reason),
+      ...this._toOllamaUsage(data.usage),
+    };
+  }
+
+  /**
+   * OpenAI (legacy) completions API (Ollama generate shapes)
+   * @param {JSON} request { model, prompt, suffix, options, stream, signal }
+   * @returns {Promise<JSON|AsyncIterable>} Ollama generate response or chunks
+   */
+  async generate(request) {
+    const response = await this._post("/completions", request.signal, {
+      model: request.model,
+      prompt: request.prompt,
+      suffix: request.suffix,
+      ...toOpenAIParams(request.options),
+      stream: request.stream === true,
+      stream_options: request.stream ? { include_usage: true } : undefined,
+    });
+
+    if (request.stream) {
+      return this._generateChunks(response);
+    }
+    const data = await response.json();
+    const choice = data.choices?.[0] || {};
+    return {
+      model: data.model,
+      response: choice.text || "",
+      done: true,
+      done_reason: toDoneReason(choice.finish_reason),
+      ...this._toOllamaUsage(data.usage),
+    };
+  }
+
+  /**
+   * OpenAI embeddings API (Ollama embed shapes)
+   * @param {JSON} request { model, input, dimensions, signal }
+   * @returns {Promise<JSON>} { embeddings, prompt_eval_count }
+   */
+  async embed(request) {
+    const response = await this._post("/embeddings", request.signal, {
+      model: request.model,
+      input: request.input,
+      dimensions: request.dimensions,
+      encoding_format: "float",
+    });
+    const data = await response.json();
+    return {
+      model: data.model,
+      embeddings: data.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding),
+      prompt_eval_count: data.usage?.prompt_tokens || 0,
+    };
+  }
+
+  /**
+   * Upstream models list (OpenAI models API)
+   * @returns {[JSON]} models (OpenAI format)
+   */
+  async listModels() {
+    try {
+      const response = await this._request("GET", "/models");
+      const data = await response.json();
+      return (data.data || []).map((model) => ({
+        id: model.id,
+        object: "model",
+        created: model.created || 0,
+        owned_by: model.owned_by || this.name,
+      }));
+    } catch (err) {
+      this.logger.error(`[${this.name}] models list failed`, {
+        error: err.message,
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Chat completion chunks (SSE) to Ollama chat chunks
+   * tool calls are streamed in pieces, they're sent once complete
+   * @param response fetch response
+   */
+  async *_chatChunks(response) {
+    const toolCalls = [];
+    let doneReason = "stop";
+    let usage = {};
+
+    for await (const data of readEvents(response.body)) {
+      if (data === "[DONE]") break;
+      const chunk = JSON.parse(data);
+      const choice = chunk.choices?.[0];
+      if (chunk.usage) {
+        usage = this._toOllamaUsage(chunk.usage);
+      }
+      if (!choice) continue;
+
+      for (const toolCall of choice.delta?.tool_calls || []) {
+        const index = toolCall.index ?? toolCalls.length;
+        toolCalls[index] ??= { id: toolCall.id, name: "", arguments: "" };
+        toolCalls[index].name += toolCall.function?.name || "";
+        toolCalls[index].arguments += toolCall.function?.arguments || "";
+      }
+      if (choice.delta?.content || choice.delta?.reasoning_content) {
+        yield {
+          message: {
+            role: "assistant",
+            content: choice.delta.content || "",
+            thinking: choice.delta.reasoning_content || "",
+          },
+        };
+      }
+      if (choice.finish_reason) {
+        doneReason = toDoneReason(choice.finish_reason);
+      }
+    }
+
+    if (toolCalls.length) {
+      yield {
+        message: this._toOllamaMessage({
+          content: "",
+          tool_calls: toolCalls.map((toolCall) => ({
+            id: toolCall.id,
+            function: { name: toolCall.name, arguments: toolCall.arguments },
+          })),
+        }),
+      };
+    }
+    yield {
+      message: { role: "assistant", content: "" },
+      done: true,
+      done_reason: doneReason,
+      ...usage,
+    };
+  }
+
+  /**
+   * Text completion chunks (SSE) to Ollama generate chunks
+   * @param response fetch response
+   */
+  async *_generateChunks(response) {
+    let doneReason = "stop";
+    let usage = {};
+
+    for await (const data of readEvents(response.body)) {
+      if (data === "[DONE]") break;
+      const chunk = JSON.parse(data);
+      const choice = chunk.choices?.[0];
+      if (chunk.usage) {
+        usage = this._toOllamaUsage(chunk.usage);
+      }
+      if (choice?.text) {
+        yield { response: choice.text };
+      }
+      if (choice?.finish_reason) {
+        doneReason = toDoneReason(choice.finish_reason);
+      }
+    }
+    yield { response: "", done: true, done_reason: doneReason, ...usage };
+  }
+
+  /**
+   * Ollama to OpenAI chat messages converter
+   * - assistant tool_calls get ids, arguments as JSON string
+   * - tool results: tool_name to the tool_call_id of the matching call
+   * @param {[JSON]} messages Ollama chat messages
+   * @returns {[JSON]} OpenAI chat messages
+   */
+  _toOpenAIMessages(messages = []) {
+    const pendingIds = new Map(); // tool name -> [tool call ids]
+    return messages.map((message) => {
+      if (message.role === "assistant" && message.tool_calls?.length) {
+        const toolCalls = this._toOpenAIToolCalls(message.tool_calls);
+        for (const toolCall of toolCalls) {
+          const ids = pendingIds.get(toolCall.function.name) || [];
+          pendingIds.set(toolCall.function.name, [...ids, toolCall.id]);
+        }
+        return {
+          role: "assistant",
+          content: message.content || null,
+          tool_calls: toolCalls,
+        };
+      }
+      if (message.role === "tool") {
+        const ids = pendingIds.get(message.tool_name) || [];
+        return {
+          role: "tool",
+          tool_call_id: ids.shift() || message.tool_name,
+          content: message.content,
+        };
+      }
+      const { role, content, name } = message;
+      return { role, content, name };
+    });
+  }
+
+  /**
+   * OpenAI to Ollama assistant message converter (tool call arguments as object)
+   * @param {JSON} message OpenAI assistant message
+   * @returns {JSON} Ollama assistant message
+   */
+  _toOllamaMessage(message = {}) {
+    const [ollamaMessage] = this._toOllamaMessages([
+      { role: "assistant", ...message, content: message.content || "" },
+    ]);
+    if (message.reasoning_content) {
+      ollamaMessage.thinking = message.reasoning_content;
+    }
+    if (!ollamaMessage.tool_calls?.length) {
+      delete ollamaMessage.tool_calls;
+    }
+    return ollamaMessage;
+  }
+
+  /**
+   * OpenAI usage to Ollama counters
+   * @param {JSON} usage OpenAI usage
+   * @returns {JSON} { prompt_eval_count, eval_count }
+   */
+  _toOllamaUsage(usage) {
+    return {
+      prompt_eval_count: usage?.prompt_tokens || 0,
+      eval_count: usage?.completion_tokens || 0,
+    };
+  }
+
+  /**
+   * POST JSON request
+   * @param {string} path API path
+   * @param {AbortSignal} [signal] abort signal
+   * @param {JSON} body request body
+   */
+  async _post(path, signal, body) {
+    return await this._request("POST", path, body, signal);
+  }
+
+  /**
+   * Upstream API request
+   * client errors (4xx) are returned to the bridge client as OpenAI errors
+   * @param {string} method HTTP method
+   * @param {string} path API path
+   * @param {JSON} [body] request body
+   * @param {AbortSignal} [signal] abort signal
+   * @returns fetch response
+   */
+  async _request(method, path, body, signal) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    if (this.organization) {
+      headers["OpenAI-Organization"] = this.organization;
+    }
+
+    const response = await fetch(`${this.url}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal,
+    });
+    if (response.ok) {
+      return response;
+    }
+
+    const text = await response.text();
+    let error = {};
+    try {
+      error = JSON.parse(text).error || {};
+    } catch {
+      error = { message: text };
+    }
+    const message = `[${this.name}] ${error.message || response.statusText}`;
+    if ([400, 404, 413, 422, 429].includes(response.status)) {
+      throw new OpenAIError(message, {
+        status: response.status,
+        type: error.type,
+        param: error.param,
+        code: error.code,
+        retryAfter: Number(response.headers.get("retry-after")) || null,
+      });
+    }
+    throw new Error(`${message} (HTTP ${response.status})`);
+  }
+}
@@ -0,0 +1,624 @@
+import { LoggerHelper } from "./LoggerHelper.js";
+import { OpenAIError } from "./OpenAIError.js";
+import { estimateMessagesTokens, estimateTokens } from "./TokenHelper.js";
+
+/**
+ * Guard rule actions
+ * - block: reject the prompt (400) or cut the answer (finish_reason "content_filter")
+ * - redact: replace the findings (or enforce the limits) and go on
+ * - log: only log and count the findings
+ * - off: rule disabled
+ */
+export const GUARD_ACTIONS = ["block", "redact", "log", "off"];
+
+/**
+ * Regex findings helper
+ * @param {string} text text to inspect
+ * @param {[{ type, pattern, group, accept }]} detectors regex detectors (global flag)
+ * @returns {[JSON]} findings [{ type, start, end }]
+ */
+function findPatterns(text, detectors) {
+  const findings = [];
+  for (const { type, pattern, group, accept } of detectors) {
+    for (const match of text.matchAll(pattern)) {
+      if (accept && !accept(match[0])) {
+        continue;
+      }
+      const [start, end] =
+        group && match.indices?.[group]
+          ? match.indices[group]
+          : [match.index, match.index + match[0].length];
+      findings.push({ type, start, end });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Luhn checksum (credit card numbers)
+ * @param {string} value digits (spaces and dashes allowed)
+ * @returns {boolean} true if valid
+ */
+function luhn(value) {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// LLM07: system prompt fragments of SHINGLE_SIZE words found in the answer
+const SHINGLE_SIZE = 8;
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// answer streams: characters held back for the findings split across chunks
+const STREAM_WINDOW = 256;
+
+/**
+ * Start of the held-back window of an answer stream text: a word start with
+ * STREAM_WINDOW characters and SHINGLE_SIZE words after it at least (the
+ * word being streamed is always held)
+ * @param {string} text answer stream text
+ * @returns {number} window start index
+ */
+function windowStart(text) {
+  const words = [...text.matchAll(/\S+/g)].filter((word) =>
+    normalizeWord(word[0])
+  );
+  for (let i = words.length - SHINGLE_SIZE; i >= 0; i--) {
+    if (words[i].index <= text.length - STREAM_WINDOW) {
+      return words[i].index;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Built-in guard rules
+ * Rule interface:
+ *   { id, name, stages: ["prompt", "answer"], defaultAction, roles, recentOnly,
+ *     inspect(text, context) => [{ type, start, end }],  // text rules
+ *     inspectPrompt(helper) => [{ type, code, param, message }], // whole prompt rules
+ *     enforce(helper) }                                   // redact for whole prompt rules
+ * @param {object} limits LLM10 limits
+ */
+function builtinRules(limits) {
+  return [
+    {
+      id: "LLM01",
+      name: "prompt injection",
+      stages: ["prompt"],
+      defaultAction: "block",
+      roles: ["user", "tool"],
+      recentOnly: true,
+      inspect: (text) =>
+        findPatterns(text, [
+          {
+            type: "instruction-override",
+            pattern:
+              /\b(?:ignore|disregard|forget|override)\s+(?:all\s+|any\s+)?(?:the\s+|your\s+)?(?:previous|prior|above|earlier|preceding|system)\s+(?:instructions?|prompts?|rules|directives|messages)\b/gi,
+          },
+          {
+            type: "prompt-extraction",
+            pattern:
+              /\b(?:reveal|print|show|repeat|output|display|leak)\s+(?:me\s+)?(?:your|the)\s+(?:system|initial|original|hidden)\s+(?:prompt|instructions|message)\b/gi,
+          },
+          {
+            type: "jailbreak",
+            pattern:
+              /\b(?:you\s+are\s+now\s+(?:DAN|in\s+developer\s+mode|unrestricted|jailbroken)|do\s+anything\s+now|act\s+as\s+an?\s+unrestricted|without\s+any\s+(?:restrictions|filters|rules))\b/gi,
+          },
+          {
+            type: "role-spoofing",
+            pattern:
+              /<\|(?:im_start|im_end|system|endoftext)\|>|^\s*\[?(?:system|assistant)\]?\s*:\s/gim,
+          },
+        ]),
+    },
+    {
+      id: "LLM02",
+      name: "sensitive information disclosure",
+      stages: ["prompt", "answer"],
+      defaultAction: "redact",
+      roles: ["user"],
+      inspect: (text) =>
+        findPatterns(text, [
+          {
+            type: "private-key",
+            pattern:
+              /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY-----/g,
+          },
+          { type: "aws-access-key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+          { type: "github-token", pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+          { type: "grafana-token", pattern: /\bglsa_[A-Za-z0-9_]{32,}\b/g },
+          { type: "api-key", pattern: /\bsk-[A-Za-z0-9_-]{20,}\b/g },
+          {
+            type: "jwt",
+            pattern:
+              /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+          },
+          {
+            type: "bearer-token",
+            pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/dg,
+            group: 1,
+          },
+          {
+            type: "credential",
+            pattern:
+              /\b(?:api[_-]?key|secret|token|passw(?:or)?d|pwd)\b["']?\s*[:=]\s*["']?([^\s"',;]{8,})/dgi,
+            group: 1,
+          },
+          {
+            type: "email",
+            pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+          },
+          {
+            type: "credit-card",
+            pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+            accept: luhn,
+          },
+        ]),
+    },
+    {
+      id: "LLM05",
+      name: "improper output handling",
+      stages: ["answer"],
+      defaultAction: "redact",
+      inspect: (text) =>
+        findPatterns(text, [
+          {
+            type: "script",
+            pattern: /<script\b[^>]*>[\s\S]*?<\/script\s*>/gi,
+          },
+          {
+            type: "embedded-content",
+            pattern: /<(?:iframe|object|embed|form)\b[^>]*>/gi,
+          },
+          {
+            type: "html-event-handler",
+            pattern: /<[a-z][^>]*\son[a-z]+\s*=[^>]*>/gi,
+          },
+          {
+            type: "javascript-url",
+            pattern: /\]\(\s*javascript:[^)]*\)|href\s*=\s*["']?\s*javascript:/gi,
+          },
+          {
+            type: "external-image",
+            pattern: /!\[[^\]]*\]\(\s*https?:\/\/[^)]*\)/gi,
+          },
+        ]),
+    },
+    {
+      id: "LLM07",
+      name: "system prompt leakage",
+      stages: ["answer"],
+      defaultAction: "redact",
+      inspect: (text, context) => {
+        const shingles = context.systemShingles;
+        if (!shingles?.size) {
+          return [];
+        }
+        const words = [...text.matchAll(/\S+/g)].filter((word) =>
+          normalizeWord(word[0])
+        );
+        const findings = [];
+        for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+          const key = words
+            .slice(i, i + SHINGLE_SIZE)
+            .map((word) => normalizeWord(word[0]))
+            .join(" ");
+          if (shingles.has(key)) {
+            const last = words[i + SHINGLE_SIZE - 1];
+            const start = words[i].index;
+            const end = last.index + last[0].length;
+            const previous = findings[findings.length - 1];
+            if (previous && start <= previous.end) {
+              previous.end = end;
+            } else {
+              findings.push({ type: "system-prompt", start, end });
+            }
+          }
+        }
+        return findings;
+      },
+    },
+    {
+      id: "LLM10",
+      name: "unbounded consumption",
+      stages: ["prompt"],
+      defaultAction: "block",
+      inspectPrompt: (helper) => {
+        const findings = [];
+        const messages = helper.prompt.messages;
+        const tokens = Array.isArray(messages)
+          ? estimateMessagesTokens(messages)
+          : estimateTokens(helper.prompt.prompt) +
+            estimateTokens(helper.prompt.suffix);
+        if (Array.isArray(messages) && messages.length > limits.maxMessages) {
+          findings.push({
+            type: "too-many-messages",
+            code: "invalid_value",
+            message: `${messages.length} messages (max ${limits.maxMessages})`,
+          });
+        }
+        if (tokens > limits.maxPromptTokens) {
+          findings.push({
+            type: "prompt-too-long",
+            code: "context_length_exceeded",
+            message: `~${tokens} prompt tokens (max ${limits.maxPromptTokens})`,
+          });
+        }
+        const maxTokens = helper.answer.options?.num_predict;
+        if (maxTokens > limits.maxCompletionTokens) {
+          findings.push({
+            type: "max-tokens-too-high",
+            code: "invalid_value",
+            param: "max_tokens",
+            message: `max_tokens ${maxTokens} (max ${limits.maxCompletionTokens})`,
+          });
+        }
+        return findings;
+      },
+      enforce: (helper) => {
+        // only the completion length can be enforced without losing the prompt
+        helper.answer.options = {
+          ...helper.answer.options,
+          num_predict: Math.min(
+            helper.answer.options?.num_predict || limits.maxCompletionTokens,
+            limits.maxCompletionTokens
+          ),
+        };
+      },
+    },
+  ];
+}
+
+/**
+ * OWASP LLM Top 10 guard pipeline
+ * @see
+ * https://owasp.org/www-project-top-10-for-large-language-model-applications/
+ * https://genai.owasp.org/llm-top-10/
+ * @example
+ *   const guard = new OwaspGuard({ actions: { LLM01: "log" } });
+ *   guard.use({ id: "CUSTOM01", name: "no cats", stages: ["prompt"], defaultAction: "block",
+ *               inspect: (text) => [...text.matchAll(/cat/g)].map((m) => ({ type: "cat", start: m.index, end: m.index + 3 })) });
+ *   guard.checkPrompt(helper);                        // throws OpenAIError when blocked
+ *   text = guard.filterAnswer(helper, text);          // redacted answer text
+ */
+export class OwaspGuard {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.actions] - actions per rule id, ex: { LLM01: "log" } (default: LLM_BRIDGE_OWASP_<ID> variables)
+   * @param {object} [options.limits] - LLM10 limits { maxMessages, maxPromptTokens, maxCompletionTokens }
+   * @param {Function} [options.onFinding] - findings callback (rule, action, findings)
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(options = {}) {
+    this.actions = options.actions || {};
+    this.onFinding = options.onFinding || (() => {});
+    this.limits = {
+      maxMessages: Number(process.env.LLM_BRIDGE_MAX_MESSAGES || 200),
+      maxPromptTokens: Number(process.env.LLM_BRIDGE_MAX_PROMPT_TOKENS || 32768),
+      maxCompletionTokens: Number(
+        process.env.LLM_BRIDGE_MAX_COMPLETION_TOKENS || 8192
+      ),
+      ...options.limits,
+    };
+    this.logger = new LoggerHelper("Owasp", {
+      level: options.logLevel || process.env.LOG_LEVEL || "info",
+    });
+
+    this.rules = [];
+    for (const rule of builtinRules(this.limits)) {
+      this.use(rule);
+    }
+  }
+
+  /**
+   * Register a guard rule
+   * @param {JSON} rule guard rule (see builtinRules())
+   */
+  use(rule) {
+    const action = (
+      this.actions[rule.id] ||
+      process.env[`LLM_BRIDGE_OWASP_${rule.id}`] ||
+      rule.defaultAction ||
+      "log"
+    ).toLowerCase();
+    if (!GUARD_ACTIONS.includes(action)) {
+      throw new Error(`[owasp] invalid action '${action}' for ${rule.id}`);
+    }
+    this.rules.push({ ...rule, action });
+    return this;
+  }
+
+  /**
+   * Inspect the prompt (chat messages or completion prompt)
+   * @param helper Helper object
+   * @throws {OpenAIError} 400 if a blocking rule matches
+   */
+  checkPrompt(helper) {
+    const parts = this._promptParts(helper);
+    helper.guard = { systemShingles: this._systemShingles(helper) };
+
+    for (const rule of this.rules) {
+      if (rule.action === "off" || !rule.stages.includes("prompt")) {
+        continue;
+      }
+
+      if (rule.inspectPrompt) {
+        const findings = rule.inspectPrompt(helper);
+        if (!findings.length) continue;
+        this._record(rule, "prompt", findings);
+        if (rule.action === "block") {
+          throw this._blockError(rule, findings[0]);
+        } else if (rule.action === "redact") {
+          rule.enforce?.(helper);
+        }
+        continue;
+      }
+
+      for (const part of parts) {
+        if (rule.roles && !rule.roles.includes(part.role)) continue;
+        if (rule.recentOnly && !part.recent) continue;
+        const findings = rule.inspect(part.text, helper.guard);
+        if (!findings.length) continue;
+        this._record(rule, "prompt", findings);
+        if (rule.action === "block") {
+          throw this._blockError(rule, findings[0]);
+        } else if (rule.action === "redact") {
+          part.text = this._redact(part.text, findings);
+          part.set(part.text);
+        }
+      }
+    }
+  }
+
+  /**
+   * Inspect the tool results of the MCP tool loop before the next LLM call
+   * (indirect prompt injection): the prompt stage rules of the tool role,
+   * a blocked result is replaced by an error for the LLM
+   * @param helper Helper object
+   * @param {[JSON]} messages tool messages ({ role: "tool", content })
+   */
+  checkToolResults(helper, messages) {
+    const context = helper.guard || {
+      systemShingles: this._systemShingles(helper),
+    };
+    for (const rule of this.rules) {
+      if (
+        rule.action === "off" ||
+        !rule.stages.includes("prompt") ||
+        !rule.inspect ||
+        (rule.roles && !rule.roles.includes("tool"))
+      ) {
+        continue;
+      }
+      for (const message of messages) {
+        const findings = rule.inspect(message.content || "", context);
+        if (!findings.length) continue;
+        this._record(rule, "tool", findings);
+        if (rule.action === "block") {
+          message.content = JSON.stringify({
+            error: `Tool result rejected by the bridge guard (${rule.id} ${rule.name})`,
+          });
+        } else if (rule.action === "redact") {
+          message.content = this._redact(message.content, findings);
+        }
+      }
+    }
+  }
+
+  /**
+   * Inspect (and sanitize) an answer text or answer stream chunk
+   * @param helper Helper object
+   * @param {string} text answer text
+   * @returns {string} text to be sent ("" when blocked)
+   */
+  filterAnswer(helper, text) {
+    if (!text || helper.answer.finish_reason === "content_filter") {
+      return helper.answer.finish_reason === "content_filter" ? "" : text;
+    }
+
+    const context = helper.guard || {
+      systemShingles: this._systemShingles(helper),
+    };
+    for (const rule of this.rules) {
+      if (rule.action === "off" || !rule.stages.includes("answer")) {
+        continue;
+      }
+      const findings = rule.inspect(text, context);
+      if (!findings.length) continue;
+      this._recordAnswer(helper, rule, findings);
+      if (rule.action === "block") {
+        helper.answer.finish_reason = "content_filter";
+        return "";
+      } else if (rule.action === "redact") {
+        text = this._redact(text, findings);
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Inspect (and sanitize) an answer stream chunk
+   * the text is held back over a window (see windowStart), and up to the
+   * start of the findings it cuts, so that the secrets, markup and system
+   * prompt fragments split across chunks are found as a whole
+   * @param helper Helper object
+   * @param {JSON} stream stream state ({ held }), one per answer field
+   * @param {string} text answer stream chunk ("" flushes the held text)
+   * @returns {string} text to be sent now ("" when held or blocked)
+   */
+  filterStream(helper, stream, text) {
+    const pending = (stream.held || "") + (text || "");
+    stream.held = "";
+    if (!pending || helper.answer.finish_reason === "content_filter") {
+      return "";
+    }
+
+    const context = helper.guard || {
+      systemShingles: this._systemShingles(helper),
+    };
+    const inspected = [];
+    for (const rule of this.rules) {
+      if (rule.action === "off" || !rule.stages.includes("answer")) {
+        continue;
+      }
+      const findings = rule.inspect(pending, context);
+      if (!findings.length) continue;
+      if (rule.action === "block") {
+        this._recordAnswer(helper, rule, findings);
+        helper.answer.finish_reason = "content_filter";
+        return "";
+      }
+      inspected.push({ rule, findings });
+    }
+
+    // the findings across the cut are held as a whole
+    let cut = text ? windowStart(pending) : pending.length;
+    let moved = true;
+    while (moved) {
+      moved = false;
+      for (const { findings } of inspected) {
+        for (const finding of findings) {
+          if (finding.start < cut && finding.end > cut) {
+            cut = finding.start;
+            moved = true;
+          }
+        }
+      }
+    }
+
+    // the findings before the cut are reported once, redacted in one pass
+    // (their offsets are in the raw text)
+    const redacted = [];
+    for (const { rule, findings } of inspected) {
+      const before = findings.filter((finding) => finding.end <= cut);
+      if (!before.length) continue;
+      this._recordAnswer(helper, rule, before);
+      if (rule.action === "redact") {
+        redacted.push(...before);
+      }
+    }
+    stream.held = pending.slice(cut);
+    return this._redact(pending.slice(0, cut), redacted);
+  }
+
+  /**
+   * Prompt texts accessors
+   * chat: messages after the last assistant message are the "recent" ones
+   * completion: prompt and suffix
+   */
+  _promptParts(helper) {
+    const messages = helper.prompt.messages;
+    if (Array.isArray(messages)) {
+      let lastAssistant = -1;
+      messages.forEach((message, index) => {
+        if (message.role === "assistant") lastAssistant = index;
+      });
+      return messages
+        .map((message, index) => ({
+          role: message.role,
+          recent: index > lastAssistant,
+          text: message.content,
+          set: (text) => {
+            message.content = text;
+          },
+        }))
+        .filter((part) => typeof part.text === "string" && part.text);
+    }
+    return ["prompt", "suffix"]
+      .filter((key) => typeof helper.prompt[key] === "string")
+      .map((key) => ({
+        role: "user",
+        recent: true,
+        text: helper.prompt[key],
+        set: (text) => {
+          helper.prompt[key] = text;
+        },
+      }));
+  }
+
+  /**
+   * System prompt shingles (LLM07)
+   */
+  _systemShingles(helper) {
+    const shingles = new Set();
+    for (const message of helper.prompt.messages || []) {
+      if (message.role !== "system" || typeof message.content !== "string") {
+        continue;
+      }
+      const words = message.content
+        .split(/\s+/)
+        .map(normalizeWord)
+        .filter(Boolean);
+      for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+      }
+    }
+    return shingles;
+  }
+
+  /**
+   * Replace the findings spans with [REDACTED:type] markers
+   */
+  _redact(text, findings) {
+    const spans = [...findings].sort((a, b) => b.start - a.start);
+    let end = Infinity;
+    for (const finding of spans) {
+      if (finding.end > end) continue; // overlapping finding
+      text =
+        text.slice(0, finding.start) +
+        `[REDACTED:${finding.type}]` +
+        text.slice(finding.end);
+      end = finding.start;
+    }
+    return text;
+  }
+
+  _record(rule, stage, findings) {
+    const types = [...new Set(findings.map((finding) => finding.type))];
+    this.logger.warn(`[owasp] ${rule.id} ${rule.name} detected`, {
+      rule: rule.id,
+      action: rule.action,
+      stage,
+      types,
+    });
+    this.onFinding(rule, rule.action, findings);
+  }
+
+  /**
+   * Answer findings: the answer is flagged (not cached, see
+   * BridgeService._storeCache), whatever the action
+   */
+  _recordAnswer(helper, rule, findings) {
+    helper.answer.flagged = true;
+    this._record(rule, "answer", findings);
+  }
+
+  _blockError(rule, finding) {
+    return new OpenAIError(
+      `Prompt rejected by the bridge guard (${rule.id} ${rule.name}: ${
+        finding.message || finding.type
+      })`,
+      {
+        status: 400,
+        param: finding.param || "messages",
+        code: finding.code || "content_filter",
+      }
+    );
+  }
+}
@@ -0,0 +1,385 @@
+import fs from "fs";
+import path from "path";
+import { LoggerHelper } from "./LoggerHelper.js";
+import { globToRegExp } from "./LlmRouter.js";
+
+/**
+ * Template files (Cursor rules style .mdc, or plain Markdown)
+ */
+const EXTENSIONS = [".mdc", ".md"];
+
+/**
+ * System prompt insertion modes
+ * prepend: before the client system messages, append: after them,
+ * replace: instead of them
+ */
+export const PROMPT_MODES = ["prepend", "append", "replace"];
+
+/**
+ * Front-matter value parser (YAML-like scalars and [a, b] lists)
+ * @param {string} value raw value
+ * @returns {string|number|boolean|[string]} parsed value
+ */
+function parseValue(value) {
+  value = value.trim();
+  if (value.startsWith("[") && value.endsWith("]")) {
+    return value
+      .slice(1, -1)
+      .split(",")
+      .map((item) => parseValue(item))
+      .filter((item) => item !== "");
+  }
+  if (/^(["']).*\1$/.test(value)) {
+    return value.slice(1, -1);
+  }
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  if (value !== "" && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Front-matter parser
+ * @param {string} text file content
+ * @returns {JSON} { data, body } front-matter fields and Markdown body
+ * @example
+ *   ---
+ *   match_system: expert in creating Grafana Panels
+ *   models: [chat-*, qwen3:*]
+ *   ---
+ *   You write short panel titles...
+ */
+export function parseFrontMatter(text) {
+  const found = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!found) {
+    return { data: {}, body: text.trim() };
+  }
+
+  const data = {};
+  let listKey = null;
+  for (const line of found[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith("#")) {
+      continue;
+    }
+    const item = /^\s+-\s*(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(parseValue(item[1]));
+      continue;
+    }
+    const field = /^([\w-]+)\s*:(.*)$/.exec(line);
+    if (!field) {
+      throw new Error(`invalid front-matter line '${line}'`);
+    }
+    const value = field[2].trim();
+    listKey = value ? null : field[1];
+    data[field[1]] = value ? parseValue(value) : [];
+  }
+  return { data, body: text.slice(found[0].length).trim() };
+}
+
+/**
+ * Prompt Templates class
+ * System prompts loaded from a directory of .mdc/Markdown files with a
+ * front-matter, matched to the chat requests by rule (system prompt, last
+ * user message, #directive, client, model). The best match (highest
+ * priority) is rendered with its variables ({{now}}, {{model}}, named groups
+ * of its regular expressions, ...) and inserted in the prompt messages.
+ * The files are reloaded when the directory changes.
+ * @example prompts/grafana-panel-title.mdc
+ *   ---
+ *   description: Grafana panel title generation
+ *   match_system: expert in creating Grafana Panels[\s\S]*panel title
+ *   mode: replace
+ *   temperature: 0.2
+ *   ---
+ *   You write Grafana panel titles of at most 50 characters...
+ */
+export class PromptTemplates {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - templates directory (.mdc and .md files)
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.LLM_BRIDGE_PROMPTS_DIR || "prompts";
+    this.logger = new LoggerHelper("Prompts", {
+      level: options.logLevel || process.env.LOG_LEVEL || "info",
+    });
+
+    // file name -> template (see _toTemplate()), sorted by priority
+    this.templates = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /***
+   * Templates initializer (loads and watches the directory)
+   */
+  async init() {
+    this.load();
+    try {
+      // edited, added or removed templates are picked up without a restart
+      this.watcher = fs.watch(this.dir, { persistent: false }, () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.load(), 200);
+      });
+    } catch (err) {
+      this.logger.warn("[prompts] templates directory not watched", {
+        dir: this.dir,
+        error: err.message,
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Load the templates of the directory
+   * (a broken file keeps its previously loaded template)
+   */
+  load() {
+    let files = [];
+    try {
+      files = fs
+        .readdirSync(this.dir)
+        .filter((file) => EXTENSIONS.includes(path.extname(file)))
+        .sort();
+    } catch (err) {
+      this.logger.warn("[prompts] no prompt templates", {
+        dir: this.dir,
+        error: err.message,
+      });
+    }
+
+    const templates = [];
+    for (const file of files) {
+      try {
+        const template = this._toTemplate(
+          file,
+          fs.readFileSync(path.join(this.dir, file), "utf8")
+        );
+        if (template) {
+          templates.push(template);
+        }
+      } catch (err) {
+        this.logger.error("[prompts] prompt template not loaded", {
+          file,
+          error: err.message,
+        });
+        if (this.templates.has(file)) {
+          templates.push(this.templates.get(file));
+        }
+      }
+    }
+
+    templates.sort((a, b) => b.priority - a.priority);
+    this.templates = new Map(
+      templates.map((template) => [template.file, template])
+    );
+    this.logger.info("[prompts] prompt templates loaded", {
+      dir: this.dir,
+      templates: templates.map((template) => template.name),
+    });
+  }
+
+  /**
+   * Find the template of a chat request
+   * @param helper Ollama helper object
+   * @returns {JSON} { template, groups } best template and the named groups
+   *   of its regular expressions, or null
+   */
+  match(helper) {
+    return this._find(this._context(helper));
+  }
+
+  /**
+   * Apply the matching template to a chat request
+   * the rendered system prompt is inserted in the messages, its sampling
+   * defaults fill the parameters the client didn't set
+   * @param helper Ollama helper object
+   * @returns {JSON} applied template, or null
+   */
+  apply(helper) {
+    const context = this._context(helper);
+    const found = this._find(context);
+    if (!found) {
+      return null;
+    }
+    const { template, groups } = found;
+    const content = this.render(template.body, {
+      now: new Date().toISOString(),
+      date: new Date().toISOString().slice(0, 10),
+      model: helper.answer.model,
+      client: helper.client?.name || "",
+      system: context.system,
+      user: context.user,
+      ...groups,
+    });
+
+    const messages = helper.prompt.messages;
+    const system = { role: "system", content };
+    if (template.mode === "replace") {
+      helper.prompt.messages = [
+        system,
+        ...messages.filter((message) => message.role !== "system"),
+      ];
+    } else if (template.mode === "append") {
+      const index = messages.findIndex((message) => message.role !== "system");
+      messages.splice(index < 0 ? messages.length : index, 0, system);
+    } else {
+      messages.unshift(system);
+    }
+
+    const options = helper.answer.options;
+    options.temperature ??= template.temperature;
+    options.num_predict ??= template.max_tokens;
+
+    this.logger.debug("[prompts] prompt template applied", {
+      template: template.name,
+      mode: template.mode,
+    });
+    return template;
+  }
+
+  /**
+   * Render a template body ({{name}} variables, unknown ones are left empty)
+   * @param {string} body template body
+   * @param {JSON} variables variable values
+   * @returns {string} rendered text
+   */
+  render(body, variables) {
+    return body.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, name) =>
+      String(variables[name] ?? "")
+    );
+  }
+
+  /**
+   * Template from a file
+   * @param {string} file file name
+   * @param {string} text file content
+   * @returns {JSON} template, or null when disabled
+   * @throws {Error} invalid front-matter, mode or regular expression
+   */
+  _toTemplate(file, text) {
+    const { data, body } = parseFrontMatter(text);
+    if (data.disabled === true) {
+      return null;
+    }
+    const mode = data.mode || "prepend";
+    if (!PROMPT_MODES.includes(mode)) {
+      throw new Error(`unknown mode '${mode}'`);
+    }
+    const list = (value) => (value === undefined ? null : [].concat(value));
+    const regexp = (value) =>
+      value === undefined ? null : new RegExp(String(value), "im");
+    const directive = data.directive ? String(data.directive) : "";
+    if (!/^[\w:-]*$/.test(directive)) {
+      throw new Error(`invalid directive '${directive}'`);
+    }
+    for (const param of ["priority", "temperature", "max_tokens"]) {
+      if (data[param] !== undefined && typeof data[param] !== "number") {
+        throw new Error(`'${param}' must be a number`);
+      }
+    }
+
+    return {
+      file,
+      name: data.name || path.basename(file, path.extname(file)),
+      description: data.description || "",
+      priority: data.priority || 0,
+      mode,
+      matchSystem: regexp(data.match_system),
+      matchUser: regexp(data.match_user),
+      directive: directive || null,
+      clients: list(data.clients),
+      models: list(data.models)?.map((model) => globToRegExp(String(model))),
+      temperature: data.temperature,
+      max_tokens: data.max_tokens,
+      body,
+    };
+  }
+
+  /**
+   * Match context of a chat request
+   * @param helper Ollama helper object
+   * @returns {JSON} { system, user, client, models, directives }
+   */
+  _context(helper) {
+    const text = (message) =>
+      typeof message?.content === "string" ? message.content : "";
+    const messages = helper.prompt.messages;
+    return {
+      system: messages
+        .filter((message) => message.role === "system")
+        .map(text)
+        .join("\n"),
+      user: text(messages.findLast((message) => message.role === "user")),
+      client: helper.client?.name,
+      models: [helper.prompt.model, helper.answer.model],
+      directives: (helper.directives || []).map(({ name, value }) =>
+        value ? `${name}:${value}` : name
+      ),
+    };
+  }
+
+  /**
+   * First matching template (highest priority)
+   * @param {JSON} context match context
+   * @returns {JSON} { template, groups }, or null
+   */
+  _find(context) {
+    for (const template of this.templates.values()) {
+      const groups = this._test(template, context);
+      if (groups) {
+        return { template, groups };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check the rules of a template (all of them must match)
+   * @param {JSON} template template
+   * @param {JSON} context match context
+   * @returns {JSON} named groups of the regular expressions, or null
+   */
+  _test(template, context) {
+    if (template.clients && !template.clients.includes(context.client)) {
+      return null;
+    }
+    if (
+      template.models &&
+      !template.models.some((model) =>
+        context.models.some((name) => name && model.test(name))
+      )
+    ) {
+      return null;
+    }
+    if (
+      template.directive &&
+      !context.directives.some(
+        (directive) =>
+          directive === template.directive ||
+          directive.startsWith(`${template.directive}:`)
+      )
+    ) {
+      return null;
+    }
+
+    const groups = {};
+    for (const [rule, text] of [
+      [template.matchSystem, context.system],
+      [template.matchUser, context.user],
+    ]) {
+      if (!rule) continue;
+      const found = rule.exec(text);
+      if (!found) {
+        return null;
+      }
+      Object.assign(groups, found.groups);
+    }
+    return groups;
+  }
+}
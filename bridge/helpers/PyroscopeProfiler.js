@@ -79,15 +79,21 @@ export class PyroscopeProfiler {
       return await fn({ log: this.logger });
     }
 
-    return await Pyroscope.wrapWithLabels(labels, async () => {
-      try {
-        return await fn();
-      } catch (err) {
-        this.logger.error(`[pyroscope] withLabels(...) error: ${err.message}`, {
-          stack: err.stack,
-        });
-        throw err;
-      }
+    // wrapWithLabels() doesn't return fn's result: forward it (and its errors)
+    return await new Promise((resolve, reject) => {
+      Pyroscope.wrapWithLabels(labels, async () => {
+        try {
+          resolve(await fn());
+        } catch (err) {
+          this.logger.error(
+            `[pyroscope] withLabels(...) error: ${err.message}`,
+            {
+              stack: err.stack,
+            }
+          );
+          reject(err);
+        }
+      });
     });
   }
 }
@@ -0,0 +1,66 @@
+import { OpenAIError } from "./OpenAIError.js";
+
+/**
+ * Rate Limiter class
+ * Token bucket per client: each request takes a token, tokens are refilled
+ * at requestsPerMinute / 60 per second up to the burst size.
+ * @example
+ *   const limiter = new RateLimiter({ requestsPerMinute: 30, burst: 5 });
+ *   limiter.take("grafana");                           // throws OpenAIError 429 when empty
+ *   limiter.take("ci", { requests_per_minute: 6 });    // client specific limits
+ */
+export class RateLimiter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.requestsPerMinute] - default refill rate (0 = no limit)
+   * @param {number} [options.burst] - default bucket size
+   */
+  constructor(options = {}) {
+    this.requestsPerMinute = Number(
+      options.requestsPerMinute || process.env.LLM_BRIDGE_RATE_LIMIT || 0
+    );
+    this.burst = Number(
+      options.burst || process.env.LLM_BRIDGE_RATE_BURST || 0
+    );
+
+    // client name -> { tokens, updated }
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take a token from the client bucket
+   * @param {string} name client name
+   * @param {JSON} [limits] client limits { requests_per_minute, burst }
+   * @throws {OpenAIError} 429 with the seconds to wait (retryAfter)
+   */
+  take(name, limits = {}) {
+    const rate = limits.requests_per_minute ?? this.requestsPerMinute;
+    if (!rate) {
+      return;
+    }
+    const burst = limits.burst || this.burst || rate;
+
+    const now = Date.now();
+    const bucket = this.buckets.get(name) || { tokens: burst, updated: now };
+    bucket.tokens = Math.min(
+      burst,
+      bucket.tokens + ((now - bucket.updated) / 60000) * rate
+    );
+    bucket.updated = now;
+    this.buckets.set(name, bucket);
+
+    if (bucket.tokens < 1) {
+      const retryAfter = Math.ceil(((1 - bucket.tokens) * 60) / rate);
+      throw new OpenAIError(
+        `Rate limit reached for '${name}' (${rate} requests per minute), please retry after ${retryAfter} seconds`,
+        {
+          status: 429,
+          type: "rate_limit_error",
+          code: "rate_limit_exceeded",
+          retryAfter,
+        }
+      );
+    }
+    bucket.tokens--;
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Reasoning modes
+ * separate: reasoning in reasoning_content (DeepSeek API convention),
+ * strip: reasoning dropped, inline: <think> blocks left in the content
+ */
+export const REASONING_MODES = ["separate", "strip", "inline"];
+
+const OPEN_TAG = "<think>";
+const CLOSE_TAG = "</think>";
+
+// answers without an opening tag: characters held back for a closing tag
+// (chat templates which open the <think> block in the prompt)
+const HEADLESS_HOLD = 4096;
+
+/**
+ * Length of the longest end of a text which starts a tag
+ * (a tag split across stream chunks)
+ * @param {string} text text
+ * @param {string} tag tag
+ * @returns {number} length to hold back
+ */
+function partialTagLength(text, tag) {
+  for (let length = Math.min(text.length, tag.length - 1); length; length--) {
+    if (tag.startsWith(text.slice(-length))) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Reasoning Parser class
+ * Splits the <think>...</think> block of reasoning models (DeepSeek-R1, Qwen3)
+ * from the answer, chunk by chunk: tags split across chunks are held back
+ * until they're complete. Only a leading <think> block is reasoning, a
+ * "<think>" later in the answer is content. An answer without the opening
+ * tag is held back until a "</think>" shows the reasoning before it (as
+ * splitReasoning does), or for HEADLESS_HOLD characters at most.
+ * @example
+ *   const parser = new ReasoningParser();
+ *   parser.push("<thi");               // { content: "", reasoning: "" }
+ *   parser.push("nk>hmm</think>\n\nHi"); // { content: "Hi", reasoning: "hmm" }
+ *   parser.flush();                    // { content: "", reasoning: "" }
+ */
+export class ReasoningParser {
+  constructor() {
+    this.buffer = "";
+    this.state = "start"; // start, headless, reasoning, after, content
+  }
+
+  /**
+   * Parse an answer chunk
+   * @param {string} text answer chunk
+   * @returns {JSON} { content, reasoning } parsed text of the chunk
+   */
+  push(text = "") {
+    const parts = { content: "", reasoning: "" };
+    this.buffer += text;
+
+    if (this.state === "start") {
+      const start = this.buffer.trimStart();
+      if (start.startsWith(OPEN_TAG)) {
+        this.buffer = start.slice(OPEN_TAG.length).trimStart();
+        this.state = "reasoning";
+      } else if (OPEN_TAG.startsWith(start)) {
+        return parts; // blank or "<thi": wait for more
+      } else {
+        this.state = "headless";
+      }
+    }
+
+    if (this.state === "headless") {
+      if (this.buffer.includes(CLOSE_TAG)) {
+        this.buffer = this.buffer.trimStart();
+        this.state = "reasoning";
+      } else if (this.buffer.length < HEADLESS_HOLD) {
+        return parts;
+      } else {
+        this.state = "content";
+      }
+    }
+
+    if (this.state === "reasoning") {
+      const end = this.buffer.indexOf(CLOSE_TAG);
+      if (end < 0) {
+        const hold = partialTagLength(this.buffer, CLOSE_TAG);
+        parts.reasoning = this.buffer.slice(0, this.buffer.length - hold);
+        this.buffer = this.buffer.slice(this.buffer.length - hold);
+        return parts;
+      }
+      parts.reasoning = this.buffer.slice(0, end).trimEnd();
+      this.buffer = this.buffer.slice(end + CLOSE_TAG.length).trimStart();
+      this.state = this.buffer ? "content" : "after";
+    }
+
+    if (this.state === "after") {
+      // blank lines between the reasoning and the answer
+      this.buffer = this.buffer.trimStart();
+      if (!this.buffer) {
+        return parts;
+      }
+      this.state = "content";
+    }
+
+    parts.content = this.buffer;
+    this.buffer = "";
+    return parts;
+  }
+
+  /**
+   * Flush the held back text (end of the answer)
+   * @returns {JSON} { content, reasoning } remaining text
+   */
+  flush() {
+    const parts = { content: "", reasoning: "" };
+    if (this.state === "reasoning") {
+      parts.reasoning = this.buffer;
+    } else if (this.state !== "after") {
+      parts.content = this.buffer;
+    }
+    this.buffer = "";
+    return parts;
+  }
+}
+
+/**
+ * Split the reasoning of a complete answer
+ * (also the chat templates which open the <think> block in the prompt,
+ * leaving only "...</think>" in the answer)
+ * @param {string} text answer
+ * @returns {JSON} { content, reasoning }
+ */
+export function splitReasoning(text = "") {
+  const end = text.indexOf(CLOSE_TAG);
+  if (end >= 0 && !text.slice(0, end).includes(OPEN_TAG)) {
+    return {
+      content: text.slice(end + CLOSE_TAG.length).trim(),
+      reasoning: text.slice(0, end).trim(),
+    };
+  }
+  const parser = new ReasoningParser();
+  const parts = parser.push(text);
+  const rest = parser.flush();
+  return {
+    content: parts.content + rest.content,
+    reasoning: parts.reasoning + rest.reasoning,
+  };
+}
@@ -0,0 +1,211 @@
+import { OpenAIError } from "./OpenAIError.js";
+
+/**
+ * Request priorities (lower runs first)
+ * interactive chat beats embeddings, which beat background autocomplete
+ */
+export const PRIORITY = { chat: 0, embeddings: 1, completion: 2 };
+
+/**
+ * Per model concurrency list parser
+ * @param {string} value ex: "deepseek-r1:7b=1,qwen3:0.6b=2"
+ * @returns {Map} model -> max concurrency
+ */
+function parseConcurrency(value = "") {
+  const concurrency = new Map();
+  for (const entry of value.split(",")) {
+    const [model, limit] = entry.split("=").map((part) => part?.trim());
+    if (model && Number(limit) > 0) {
+      concurrency.set(model, Number(limit));
+    }
+  }
+  return concurrency;
+}
+
+/**
+ * Request Queue class
+ * Bounded priority queue in front of the LLM, with a max concurrency per model.
+ * Requests wait for a free slot of their model (higher priority first, then
+ * FIFO) and are rejected with 429 when the queue is full or the wait too long.
+ * @example
+ *   const queue = new RequestQueue({ concurrency: 1, maxQueue: 20 });
+ *   await queue.run("deepseek-r1:1.5b", PRIORITY.chat, async () => ollama.chat(...));
+ */
+export class RequestQueue {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.concurrency] - default max concurrent requests per model
+   * @param {Map} [options.modelConcurrency] - max concurrent requests by model
+   * @param {number} [options.maxQueue] - max waiting requests per model
+   * @param {number} [options.timeout] - max wait for a slot (seconds)
+   * @param {Function} [options.onChange] - queue state callback (model, { active, waiting })
+   * @param {Function} [options.onWait] - slot wait callback (model, seconds)
+   * @param {Function} [options.onReject] - rejection callback (model, code)
+   */
+  constructor(options = {}) {
+    this.concurrency = Number(
+      options.concurrency || process.env.LLM_BRIDGE_MAX_CONCURRENCY || 1
+    );
+    this.modelConcurrency =
+      options.modelConcurrency ||
+      parseConcurrency(process.env.LLM_BRIDGE_MODEL_CONCURRENCY);
+    this.maxQueue = Number(
+      options.maxQueue || process.env.LLM_BRIDGE_QUEUE_SIZE || 20
+    );
+    this.timeout = Number(
+      options.timeout || process.env.LLM_BRIDGE_QUEUE_TIMEOUT || 60
+    );
+    this.onChange = options.onChange || (() => {});
+    this.onWait = options.onWait || (() => {});
+    this.onReject = options.onReject || (() => {});
+
+    // model -> { active, waiting: [{ priority, enqueued, signal, resolve, timer, abort }], avgDuration }
+    this.models = new Map();
+  }
+
+  /**
+   * Run a function in a model slot
+   * @param {string} model model name
+   * @param {number} priority request priority (see PRIORITY)
+   * @param {Function} fn function holding the slot until it resolves
+   * @param {AbortSignal} [signal] gives up waiting (ex: client disconnected)
+   * @returns {Promise} fn result
+   * @throws {OpenAIError} 429 if the queue is full or the wait timed out
+   */
+  async run(model, priority, fn, signal) {
+    this.onWait(model, await this._acquire(model, priority, signal));
+    const started = Date.now();
+    try {
+      return await fn();
+    } finally {
+      this._release(model, Date.now() - started);
+    }
+  }
+
+  /**
+   * Model queue state
+   * @param {string} model model name
+   * @returns {JSON} { active, waiting, avgDuration }
+   */
+  _state(model) {
+    let state = this.models.get(model);
+    if (!state) {
+      state = { active: 0, waiting: [], avgDuration: 0 };
+      this.models.set(model, state);
+    }
+    return state;
+  }
+
+  /**
+   * Wait for a free model slot
+   * @param {string} model model name
+   * @param {number} priority request priority
+   * @param {AbortSignal} [signal] abort signal
+   * @returns {Promise<number>} wait time (seconds)
+   */
+  _acquire(model, priority, signal) {
+    const state = this._state(model);
+    const limit = this.modelConcurrency.get(model) || this.concurrency;
+
+    if (state.active < limit && !state.waiting.length) {
+      state.active++;
+      this.onChange(model, this._counts(state));
+      return Promise.resolve(0);
+    }
+    if (signal?.aborted) {
+      return Promise.reject(this._abortError());
+    }
+    if (state.waiting.length >= this.maxQueue) {
+      this.onReject(model, "queue_full");
+      return Promise.reject(this._busyError(model, state, limit, "queue_full"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { priority, enqueued: Date.now(), signal, resolve };
+      const leave = (err) => {
+        clearTimeout(entry.timer);
+        signal?.removeEventListener("abort", entry.abort);
+        state.waiting.splice(state.waiting.indexOf(entry), 1);
+        this.onChange(model, this._counts(state));
+        reject(err);
+      };
+      entry.timer = setTimeout(() => {
+        this.onReject(model, "queue_timeout");
+        leave(this._busyError(model, state, limit, "queue_timeout"));
+      }, this.timeout * 1000);
+      entry.abort = () => leave(this._abortError());
+      signal?.addEventListener("abort", entry.abort, { once: true });
+
+      // higher priority first, FIFO within the same priority
+      const index = state.waiting.findIndex(
+        (waiting) => waiting.priority > priority
+      );
+      state.waiting.splice(index < 0 ? state.waiting.length : index, 0, entry);
+      this.onChange(model, this._counts(state));
+    });
+  }
+
+  /**
+   * Free a model slot and hand it to the next waiting request
+   * @param {string} model model name
+   * @param {number} duration slot hold time (ms)
+   */
+  _release(model, duration) {
+    const state = this._state(model);
+    state.avgDuration = state.avgDuration
+      ? 0.8 * state.avgDuration + 0.2 * duration
+      : duration;
+
+    const next = state.waiting.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.signal?.removeEventListener("abort", next.abort);
+      next.resolve((Date.now() - next.enqueued) / 1000);
+    } else {
+      state.active--;
+    }
+    this.onChange(model, this._counts(state));
+  }
+
+  /**
+   * Queue counters
+   * @param {JSON} state model queue state
+   * @returns {JSON} { active, waiting }
+   */
+  _counts(state) {
+    return { active: state.active, waiting: state.waiting.length };
+  }
+
+  /**
+   * Client gone error (nginx's 499 status, never seen by the client)
+   * @returns {OpenAIError} 499 error
+   */
+  _abortError() {
+    return new OpenAIError("The client closed the request while queued", {
+      status: 499,
+      code: "client_closed_request",
+    });
+  }
+
+  /**
+   * Busy model error, with an estimated retry delay
+   * @param {string} model model name
+   * @param {JSON} state model queue state
+   * @param {number} limit model max concurrency
+   * @param {string} code error code (queue_full or queue_timeout)
+   * @returns {OpenAIError} 429 error
+   */
+  _busyError(model, state, limit, code) {
+    const retryAfter = Math.max(
+      1,
+      Math.ceil(
+        ((state.waiting.length / limit + 1) * (state.avgDuration || 1000)) /
+          1000
+      )
+    );
+    return new OpenAIError(
+      `The model '${model}' is busy, please retry after ${retryAfter} seconds`,
+      { status: 429, type: "rate_limit_error", code, retryAfter }
+    );
+  }
+}
@@ -0,0 +1,261 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { LoggerHelper } from "./LoggerHelper.js";
+
+/**
+ * Message text normalizer (cache key only)
+ * line endings, trailing spaces and surrounding blank lines don't change the key
+ * @param {string} text message content
+ * @returns {string} normalized text
+ */
+function normalizeText(text) {
+  return (text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+$/gm, "")
+    .trim();
+}
+
+/**
+ * Response Cache class
+ * Chat answers of deterministic requests (temperature 0 or fixed seed) kept
+ * in an in-memory LRU with a TTL, optionally persisted as JSON files on disk
+ * (an LRU too, bounded by its file count and bytes).
+ * @example
+ *   const cache = new ResponseCache({ enabled: true, ttl: 3600 });
+ *   const key = cache.key({ client, model, messages, options, format });
+ *   const answer = await cache.get(key);   // { content, finish_reason, usage } or null
+ *   await cache.set(key, answer);
+ */
+export class ResponseCache {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.enabled] - enable the cache (default: LLM_BRIDGE_CACHE)
+   * @param {number} [options.size] - max in-memory entries
+   * @param {number} [options.ttl] - entry time to live (seconds)
+   * @param {string} [options.dir] - on-disk persistence directory (none by default)
+   * @param {number} [options.diskSize] - max on-disk entries
+   * @param {number} [options.diskBytes] - max on-disk bytes
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LLM_BRIDGE_CACHE === "true";
+    this.size = Number(
+      options.size || process.env.LLM_BRIDGE_CACHE_SIZE || 500
+    );
+    this.ttl = Number(options.ttl || process.env.LLM_BRIDGE_CACHE_TTL || 3600);
+    this.dir = options.dir || process.env.LLM_BRIDGE_CACHE_DIR || "";
+    this.diskSize = Number(
+      options.diskSize || process.env.LLM_BRIDGE_CACHE_DISK_SIZE || 5000
+    );
+    this.diskBytes = Number(
+      options.diskBytes || process.env.LLM_BRIDGE_CACHE_DISK_BYTES || 104857600
+    );
+    this.logger = new LoggerHelper("Cache", {
+      level: options.logLevel || process.env.LOG_LEVEL || "info",
+    });
+
+    // key -> { expires, value } (Map order is the LRU order)
+    this.entries = new Map();
+    // disk file name -> bytes (Map order is the LRU order)
+    this.files = new Map();
+    this.fileBytes = 0;
+  }
+
+  /***
+   * Cache initializer (creates the disk directory, drops the expired files
+   * and the oldest ones over the disk limits)
+   */
+  async init() {
+    if (!this.enabled || !this.dir) {
+      return this;
+    }
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      let expired = 0;
+      const kept = [];
+      for (const file of await fs.readdir(this.dir)) {
+        if (!file.endsWith(".json")) continue;
+        const entry = await this._readFile(file);
+        if (entry) {
+          kept.push({ file, entry });
+        } else {
+          expired++;
+        }
+      }
+      // the oldest entries first in the LRU order
+      kept.sort((a, b) => a.entry.expires - b.entry.expires);
+      for (const { file, entry } of kept) {
+        this._trackFile(file, entry.bytes);
+      }
+      await this._evictFiles();
+      this.logger.info("[cache] disk cache ready", {
+        dir: this.dir,
+        entries: this.files.size,
+        expired,
+      });
+    } catch (err) {
+      this.logger.error("[cache] disk cache disabled", {
+        dir: this.dir,
+        error: err.message,
+      });
+      this.dir = "";
+    }
+    return this;
+  }
+
+  /**
+   * Check if a request can be cached (deterministic sampling)
+   * @param {JSON} options Ollama options ({ temperature, seed })
+   * @returns {boolean} true if cacheable
+   */
+  isDeterministic(options = {}) {
+    return options.temperature === 0 || Number.isInteger(options.seed);
+  }
+
+  /**
+   * Cache key of a chat request
+   * the client is part of it: its models, guard and reasoning settings
+   * may differ from the other clients ones
+   * @param {JSON} request { client, model, messages, options, format, reasoning }
+   * @returns {string} sha256 hex digest
+   */
+  key({ client, model, messages = [], options = {}, format, reasoning }) {
+    const normalized = messages.map((message) => ({
+      role: message.role,
+      content: normalizeText(message.content),
+      tool_calls: message.tool_calls,
+      tool_name: message.tool_name,
+      images: message.images,
+    }));
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify({
+          client,
+          model,
+          messages: normalized,
+          options,
+          format,
+          reasoning,
+        })
+      )
+      .digest("hex");
+  }
+
+  /**
+   * Cached value (memory first, then disk)
+   * @param {string} key cache key
+   * @returns {Promise<JSON>} cached value or null
+   */
+  async get(key) {
+    let entry = this.entries.get(key);
+    if (entry && entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      entry = null;
+    }
+    const file = `${key}.json`;
+    if (!entry && this.dir) {
+      entry = await this._readFile(file);
+    }
+    if (!entry) {
+      return null;
+    }
+    // most recently used last
+    this.entries.delete(key);
+    this._remember(key, entry);
+    if (this.files.has(file)) {
+      this._trackFile(file, this.files.get(file));
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key cache key
+   * @param {JSON} value value (JSON serializable)
+   */
+  async set(key, value) {
+    const entry = { expires: Date.now() + this.ttl * 1000, value };
+    this.entries.delete(key);
+    this._remember(key, entry);
+    if (this.dir) {
+      try {
+        const text = JSON.stringify(entry);
+        await fs.writeFile(path.join(this.dir, `${key}.json`), text);
+        this._trackFile(`${key}.json`, Buffer.byteLength(text));
+        await this._evictFiles();
+      } catch (err) {
+        this.logger.error("[cache] disk write failed", {
+          key,
+          error: err.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * In-memory entry insert with LRU eviction
+   */
+  _remember(key, entry) {
+    this.entries.set(key, entry);
+    while (this.entries.size > this.size) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Disk LRU update: the file is the most recently used
+   * @param {string} file file name
+   * @param {number} bytes file size
+   */
+  _trackFile(file, bytes) {
+    this._untrackFile(file);
+    this.files.set(file, bytes);
+    this.fileBytes += bytes;
+  }
+
+  _untrackFile(file) {
+    this.fileBytes -= this.files.get(file) || 0;
+    this.files.delete(file);
+  }
+
+  /**
+   * Disk LRU eviction: the least recently used files over the limits
+   */
+  async _evictFiles() {
+    while (
+      this.files.size > this.diskSize ||
+      (this.fileBytes > this.diskBytes && this.files.size > 1)
+    ) {
+      const file = this.files.keys().next().value;
+      this._untrackFile(file);
+      await fs.rm(path.join(this.dir, file), { force: true });
+    }
+  }
+
+  /**
+   * Disk entry reader (expired or broken files are removed)
+   * @param {string} file file name
+   * @returns {Promise<JSON>} entry (with its file size in bytes) or null
+   */
+  async _readFile(file) {
+    const filePath = path.join(this.dir, file);
+    try {
+      const text = await fs.readFile(filePath, "utf8");
+      const entry = JSON.parse(text);
+      if (entry.expires > Date.now()) {
+        entry.bytes = Buffer.byteLength(text);
+        return entry;
+      }
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        this._untrackFile(file);
+        return null;
+      }
+    }
+    this._untrackFile(file);
+    await fs.rm(filePath, { force: true });
+    return null;
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Server-sent events reader
+ * @param {ReadableStream} body response body
+ * @returns {AsyncIterable<string>} "data:" payloads (one per event)
+ * @see https://html.spec.whatwg.org/multipage/server-sent-events.html
+ */
+export async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const bytes of body) {
+    // CRLF or CR line ends (a trailing CR waits for a possible LF)
+    buffer = (buffer + decoder.decode(bytes, { stream: true })).replace(
+      /\r\n|\r(?!\n|$)/g,
+      "\n"
+    );
+    let end;
+    while ((end = buffer.indexOf("\n\n")) >= 0) {
+      const event = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const data = event
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trim())
+        .join("\n");
+      if (data) {
+        yield data;
+      }
+    }
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Token count estimator
+ * (~4 characters per token for English text and source code)
+ * @param {string} text text
+ * @returns {number} estimated tokens
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Chat messages token count estimator
+ * (message content, tool calls and ~4 tokens of overhead per message)
+ * @param {[JSON]} messages chat messages
+ * @returns {number} estimated tokens
+ */
+export function estimateMessagesTokens(messages = []) {
+  let tokens = 0;
+  for (const message of messages) {
+    tokens += 4 + estimateTokens(message.content);
+    if (message.tool_calls?.length) {
+      tokens += estimateTokens(JSON.stringify(message.tool_calls));
+    }
+  }
+  return tokens;
+}
@@ -0,0 +1,198 @@
+import crypto from "crypto";
+import { OpenAIError } from "./OpenAIError.js";
+
+/**
+ * Tool call arguments as an object
+ * @param {JSON|string} args tool call arguments (JSON string for OpenAI)
+ * @returns {JSON} arguments
+ */
+function toArguments(args = {}) {
+  if (typeof args !== "string") {
+    return args;
+  }
+  try {
+    return args.trim() ? JSON.parse(args) : {};
+  } catch {
+    return { arguments: args };
+  }
+}
+
+/**
+ * Tool Approvals class
+ * Human in the loop for the MCP tools which change something (OWASP LLM06
+ * excessive agency). The read-only tools run on their own, the tool calls
+ * of the other ones become a pending action the user must confirm with its
+ * token (#confirm:<token>) before they run. The read-only mode
+ * (LLM_BRIDGE_MCP_READ_ONLY) refuses them altogether. Every decision goes
+ * to the audit callback.
+ * @see https://modelcontextprotocol.io/specification/2025-06-18/server/tools
+ */
+export class ToolApprovals {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.readOnly] - refuse the tools which change something
+   * @param {number} [options.ttl] - pending action lifetime (seconds)
+   * @param {Function} [options.onAudit] - audit callback ({ decision, client, token, server, tool, class, arguments })
+   */
+  constructor(options = {}) {
+    this.readOnly =
+      options.readOnly ?? process.env.LLM_BRIDGE_MCP_READ_ONLY === "true";
+    this.ttl = Number(
+      options.ttl || process.env.LLM_BRIDGE_MCP_CONFIRM_TTL || 600
+    );
+    this.onAudit = options.onAudit || (() => {});
+
+    // token -> pending action (see request())
+    this.pending = new Map();
+  }
+
+  /**
+   * Tool class from its MCP annotations
+   * read_only: readOnlyHint, additive: a change with destructiveHint false,
+   * destructive: the other changes (MCP defaults when no hint is given)
+   * @param {JSON} tool MCP tool ({ name, annotations })
+   * @returns {string} "read_only", "additive" or "destructive"
+   */
+  classify(tool) {
+    const annotations = tool?.annotations || {};
+    if (annotations.readOnlyHint === true) {
+      return "read_only";
+    }
+    return annotations.destructiveHint === false ? "additive" : "destructive";
+  }
+
+  /**
+   * Check if a tool can run without confirmation
+   * @param {JSON} tool MCP tool
+   * @returns {boolean} true for the read-only tools
+   */
+  isReadOnly(tool) {
+    return this.classify(tool) === "read_only";
+  }
+
+  /**
+   * Check if a tool can be offered to the LLM (read-only mode)
+   * @param {JSON} tool MCP tool
+   * @returns {boolean} false for the tools the read-only mode refuses
+   */
+  allows(tool) {
+    return !this.readOnly || this.isReadOnly(tool);
+  }
+
+  /**
+   * Record a tool call refused by the read-only mode
+   * @param {string} client client name
+   * @param {JSON} call { server, tool, toolCall }
+   */
+  refuse(client, call) {
+    this._audit("refused", { client }, call);
+  }
+
+  /**
+   * Hold tool calls for confirmation
+   * @param {string} client client name
+   * @param {[string]} servers MCP servers of the request
+   * @param {[JSON]} calls tool calls [ { server, tool, toolCall } ]
+   * @returns {JSON} pending action { token, client, servers, calls, expiresAt }
+   */
+  request(client, servers, calls) {
+    this._purge();
+    const action = {
+      token: crypto.randomBytes(6).toString("hex"),
+      client,
+      servers,
+      calls,
+      expiresAt: Date.now() + this.ttl * 1000,
+    };
+    this.pending.set(action.token, action);
+    for (const call of calls) {
+      this._audit("requested", action, call);
+    }
+    return action;
+  }
+
+  /**
+   * Pending action of a confirmation token
+   * @param {string} client client name (only the requesting client can confirm)
+   * @param {string} token confirmation token
+   * @returns {JSON} pending action
+   * @throws {OpenAIError} 400 unknown or expired token
+   */
+  get(client, token) {
+    this._purge();
+    const action = this.pending.get(token);
+    if (!action || action.client !== client) {
+      throw new OpenAIError(
+        `Unknown or expired confirmation token '${token}'`,
+        { param: "messages", code: "invalid_directive" }
+      );
+    }
+    return action;
+  }
+
+  /**
+   * Approve a pending action (its token can't be used again)
+   * @param {JSON} action pending action (see get())
+   * @returns {[JSON]} tool calls to run
+   */
+  approve(action) {
+    this.pending.delete(action.token);
+    for (const call of action.calls) {
+      this._audit("approved", action, call);
+    }
+    return action.calls.map((call) => call.toolCall);
+  }
+
+  /**
+   * Pending action answer (what would run, and how to confirm it)
+   * @param {JSON} action pending action
+   * @returns {string} Markdown text
+   */
+  describe(action) {
+    const calls = action.calls.map(
+      ({ server, tool, toolCall }) =>
+        `- \`${toolCall.function.name}\` on ${server} (${this.classify(tool).replace("_", "-")}):\n` +
+        `  \`${JSON.stringify(toArguments(toolCall.function.arguments))}\``
+    );
+    return [
+      "These tool calls wait for your confirmation before they run:",
+      "",
+      ...calls,
+      "",
+      `Reply \`#confirm:${action.token}\` within ${Math.ceil(this.ttl / 60)} minutes to run them, or ignore this message to cancel them.`,
+    ].join("\n");
+  }
+
+  /**
+   * Drop the expired pending actions
+   */
+  _purge() {
+    const now = Date.now();
+    for (const [token, action] of this.pending) {
+      if (action.expiresAt <= now) {
+        this.pending.delete(token);
+        for (const call of action.calls) {
+          this._audit("expired", action, call);
+        }
+      }
+    }
+  }
+
+  /**
+   * Audit entry of a tool call decision
+   * @param {string} decision requested, approved, expired or refused
+   * @param {JSON} action pending action (or { client })
+   * @param {JSON} call { server, tool, toolCall }
+   */
+  _audit(decision, action, { server, tool, toolCall }) {
+    this.onAudit({
+      decision,
+      client: action.client,
+      token: action.token,
+      server,
+      tool: toolCall.function.name,
+      class: this.classify(tool),
+      arguments: toArguments(toolCall.function.arguments),
+    });
+  }
+}
@@ -0,0 +1,321 @@
+import fs from "fs";
+import { LoggerHelper } from "./LoggerHelper.js";
+import { globToRegExp } from "./LlmRouter.js";
+import { estimateTokens } from "./TokenHelper.js";
+
+/**
+ * Smallest token budget of a tool result (one row and its marker)
+ */
+const MIN_TOKENS = 200;
+
+/**
+ * Max chunks summarized for a result (map step), the other parts are omitted
+ */
+const MAX_CHUNKS = 8;
+
+/**
+ * Tool result data (MCP CallToolResult)
+ * the structured content when there is one, the JSON texts parsed
+ * @param {JSON} result MCP tool result ({ content, structuredContent, isError })
+ * @returns {JSON} result data
+ */
+function toData(result) {
+  if (result?.structuredContent !== undefined) {
+    return result.structuredContent;
+  }
+  if (!Array.isArray(result?.content)) {
+    return result;
+  }
+  const items = result.content.map((item) => {
+    if (item.type !== "text") {
+      return item;
+    }
+    try {
+      return JSON.parse(item.text);
+    } catch {
+      return item.text;
+    }
+  });
+  return items.length === 1 ? items[0] : items;
+}
+
+/**
+ * Field projection and row limits of a result data, at any depth
+ * (arrays longer than maxRows end with a "N more omitted" marker)
+ * @param data result data
+ * @param {[string]} [fields] kept fields of the objects listed in arrays
+ * @param {number} maxRows max items of an array
+ * @returns {JSON} { data, omitted } shaped data, and the count of omitted rows
+ */
+function reshape(data, fields, maxRows) {
+  let omitted = 0;
+  const walk = (value) => {
+    if (Array.isArray(value)) {
+      const rows = value.slice(0, maxRows).map((item) => {
+        if (fields?.length && item?.constructor === Object) {
+          item = Object.fromEntries(
+            fields.filter((key) => key in item).map((key) => [key, item[key]])
+          );
+        }
+        return walk(item);
+      });
+      if (value.length > maxRows) {
+        omitted += value.length - maxRows;
+        rows.push(`(${value.length - maxRows} more omitted)`);
+      }
+      return rows;
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, walk(item)])
+      );
+    }
+    return value;
+  };
+  return { data: walk(data), omitted };
+}
+
+/**
+ * Cut a text to a token budget (with a truncation marker)
+ * @param {string} text text
+ * @param {number} tokens token budget
+ * @returns {string} text, cut if longer
+ */
+function truncate(text, tokens) {
+  const size = estimateTokens(text);
+  if (size <= tokens) {
+    return text;
+  }
+  return `${text.slice(0, tokens * 4)}... (truncated, ${size - tokens} more tokens omitted)`;
+}
+
+/**
+ * Tool Results class
+ * Shapes the MCP tool results before they're fed to the LLM: a
+ * search_dashboards or list_prometheus_metric_names result can list
+ * thousands of entries, more than the context of a small model. The rules
+ * of a tool (results file LLM_BRIDGE_MCP_RESULTS_FILE) keep some fields of
+ * the listed objects, limit the rows, cap the tokens, or summarize the
+ * large results with the LLM (map-reduce over chunks). Every result fits
+ * its share of the model context at last (see budget()).
+ * @example results file (tool name patterns, later matches win)
+ *   {
+ *     "tools": {
+ *       "*": { "max_rows": 50 },
+ *       "search_dashboards": { "fields": ["uid", "title", "folderTitle"] },
+ *       "list_prometheus_metric_names": { "max_rows": 500, "summarize": true },
+ *       "query_loki_logs": { "max_tokens": 1500 }
+ *     }
+ *   }
+ */
+export class ToolResults {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.resultsFile] - tool result rules file path
+   * @param {number} [options.maxRows] - default max rows of a result array
+   * @param {number} [options.share] - context share of a batch of tool results (0-1)
+   * @param {Function} [options.onShape] - shaped result callback (tool, method)
+   * @param {string} [options.logLevel] - log level
+   */
+  constructor(options = {}) {
+    this.logger = new LoggerHelper("Mcp", {
+      level: options.logLevel || process.env.LOG_LEVEL || "info",
+    });
+    this.resultsFile =
+      options.resultsFile ?? process.env.LLM_BRIDGE_MCP_RESULTS_FILE ?? "";
+    this.maxRows = Number(
+      options.maxRows || process.env.LLM_BRIDGE_MCP_RESULT_ROWS || 50
+    );
+    this.share = Number(
+      options.share || process.env.LLM_BRIDGE_MCP_RESULT_SHARE || 0.5
+    );
+    this.onShape = options.onShape || (() => {});
+
+    this.rules = this._loadRules();
+  }
+
+  /**
+   * Rule of a tool (its matching rules merged, in file order)
+   * @param {string} name tool name (as the LLM sees it)
+   * @returns {JSON} { fields, maxRows, maxTokens, summarize }
+   */
+  rule(name) {
+    const rule = { fields: null, maxRows: this.maxRows, maxTokens: Infinity };
+    for (const { regexp, ...entry } of this.rules) {
+      if (regexp.test(name)) {
+        Object.assign(rule, entry);
+      }
+    }
+    return rule;
+  }
+
+  /**
+   * Token budget of each tool result of a batch
+   * its share of the model context, within what the prompt leaves free
+   * @param {number} contextLength model context length (tokens)
+   * @param {number} usedTokens prompt tokens (messages and tools)
+   * @param {number} count tool results of the batch
+   * @returns {number} tokens per result
+   */
+  budget(contextLength, usedTokens, count) {
+    const free = Math.min(
+      contextLength * this.share,
+      contextLength - usedTokens
+    );
+    return Math.max(MIN_TOKENS, Math.floor(free / Math.max(count, 1)));
+  }
+
+  /**
+   * Shape a tool result to its rule and token budget
+   * projection and row limits first, then the summary (summarize rule) or
+   * fewer rows, and a hard cut at last
+   * @param {string} name tool name (as the LLM sees it)
+   * @param {JSON} result MCP tool result
+   * @param {object} options
+   * @param {number} options.tokens - token budget (see budget())
+   * @param {number} options.contextLength - model context length (summary chunks)
+   * @param {Function} [options.summarize] - LLM call (messages) => text
+   * @param {string} [options.question] - user question (summary focus)
+   * @param {AbortSignal} [options.signal] - abort signal
+   * @returns {Promise<JSON|string>} shaped result data, or text (summary,
+   *   truncated data)
+   * @throws {Error} aborted summary
+   */
+  async shape(name, result, options) {
+    const rule = this.rule(name);
+    const tokens = Math.min(options.tokens, rule.maxTokens);
+    const source = toData(result);
+    const shaped = (method, value) => {
+      if (method) {
+        this.onShape(name, method);
+      }
+      return value;
+    };
+
+    let rows = rule.maxRows;
+    let { data, omitted } = reshape(source, rule.fields, rows);
+    let text = JSON.stringify(data) ?? "";
+    if (estimateTokens(text) <= tokens) {
+      return shaped(omitted ? "rows" : null, data);
+    }
+
+    if (rule.summarize && options.summarize) {
+      try {
+        const summary = await this._summarize(name, text, tokens, options);
+        return shaped("summarized", truncate(summary, tokens));
+      } catch (err) {
+        if (options.signal?.aborted) {
+          throw err;
+        }
+        this.logger.warn(`[mcp] ${name} result summary failed`, {
+          error: err.message,
+        });
+      }
+    }
+
+    while (estimateTokens(text) > tokens && rows > 1) {
+      rows = Math.floor(rows / 2);
+      ({ data } = reshape(source, rule.fields, rows));
+      text = JSON.stringify(data);
+    }
+    if (estimateTokens(text) <= tokens) {
+      return shaped("rows", data);
+    }
+    return shaped("truncated", truncate(text, tokens));
+  }
+
+  /**
+   * Map-reduce summary of a large result: the chunks (half the model
+   * context each) are summarized, then their summaries once more when
+   * they're still over the budget
+   * @param {string} name tool name
+   * @param {string} text result text
+   * @param {number} tokens token budget
+   * @param {object} options see shape()
+   * @returns {Promise<string>} summary
+   */
+  async _summarize(name, text, tokens, options) {
+    const summaries = await this._summarizeChunks(name, text, tokens, options);
+    const summary = summaries.join("\n");
+    if (summaries.length === 1 || estimateTokens(summary) <= tokens) {
+      return summary;
+    }
+    return (await this._summarizeChunks(name, summary, tokens, options)).join(
+      "\n"
+    );
+  }
+
+  /**
+   * Summaries of the chunks of a text (map step, one LLM call per chunk)
+   * @param {string} name tool name
+   * @param {string} text result text
+   * @param {number} tokens token budget of all the summaries
+   * @param {object} options see shape()
+   * @returns {Promise<[string]>} chunk summaries
+   */
+  async _summarizeChunks(name, text, tokens, options) {
+    const size =
+      Math.max(MIN_TOKENS, Math.floor(options.contextLength / 2)) * 4;
+    const chunks = [];
+    for (let start = 0; start < text.length; start += size) {
+      chunks.push(text.slice(start, start + size));
+    }
+    const kept = chunks.slice(0, MAX_CHUNKS);
+    const words = Math.floor((tokens * 0.75) / kept.length);
+
+    const summaries = [];
+    for (const [index, chunk] of kept.entries()) {
+      summaries.push(
+        await options.summarize([
+          {
+            role: "system",
+            content:
+              `Summarize the part ${index + 1}/${chunks.length} of the ${name} tool result below in at most ${words} words. ` +
+              "Keep the names, ids, values and counts useful to answer the user's question, drop the rest. Answer with the summary only.",
+          },
+          {
+            role: "user",
+            content: `Question: ${options.question || "(none)"}\n\nTool result:\n${chunk}`,
+          },
+        ])
+      );
+    }
+    if (chunks.length > kept.length) {
+      summaries.push(`(${chunks.length - kept.length} more parts omitted)`);
+    }
+    return summaries;
+  }
+
+  /**
+   * Rules from the results file (none without it)
+   * @returns {[JSON]} rules [ { regexp, fields, maxRows, maxTokens, summarize } ]
+   * @throws {Error} unreadable or invalid results file (configuration error)
+   */
+  _loadRules() {
+    if (!this.resultsFile) {
+      return [];
+    }
+    const data = JSON.parse(fs.readFileSync(this.resultsFile, "utf8"));
+    return Object.entries(data.tools || {}).map(([pattern, entry]) => {
+      const rule = { regexp: globToRegExp(pattern) };
+      if (entry.fields !== undefined) {
+        if (!Array.isArray(entry.fields)) {
+          throw new Error(
+            `[mcp] ${pattern} fields must be a list (${this.resultsFile})`
+          );
+        }
+        rule.fields = entry.fields;
+      }
+      if (entry.max_rows !== undefined) {
+        rule.maxRows = Math.max(1, Number(entry.max_rows));
+      }
+      if (entry.max_tokens !== undefined) {
+        rule.maxTokens = Math.max(MIN_TOKENS, Number(entry.max_tokens));
+      }
+      if (entry.summarize !== undefined) {
+        rule.summarize = entry.summarize === true;
+      }
+      return rule;
+    });
+  }
+}
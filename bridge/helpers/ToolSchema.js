@@ -0,0 +1,259 @@
+/**
+ * JSON schema type of a value
+ * @param value JSON value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+/**
+ * Check the type of a value (an integer is a number too)
+ * @param value JSON value
+ * @param {string} type JSON schema type
+ * @returns {boolean} true if the value has this type
+ */
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Short value description for the error messages
+ * @param value JSON value
+ * @returns {string} ex: string "abc"
+ */
+function describe(value) {
+  const text = JSON.stringify(value) ?? String(value);
+  return `${typeOf(value)} ${text.length > 40 ? `${text.slice(0, 40)}...` : text}`;
+}
+
+/**
+ * Test a schema pattern (an invalid pattern is ignored)
+ * @param {string} pattern regular expression
+ * @param {string} value string value
+ * @returns {boolean} false if the value doesn't match
+ */
+function matches(pattern, value) {
+  try {
+    return new RegExp(pattern, "u").test(value);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Coerce a value to a schema type, when it keeps its meaning
+ * ("5" to 5, "true" to true, 5 to "5", a JSON encoded object or array
+ * to the object or array, a single value to a one item array)
+ * @param value JSON value
+ * @param {string} type expected JSON schema type
+ * @returns {JSON} { value } coerced value, or null
+ */
+function coerce(value, type) {
+  if (type === "integer" || type === "number") {
+    const number = typeof value === "string" && value.trim() && Number(value);
+    if (
+      Number.isFinite(number) &&
+      (type === "number" || Number.isInteger(number))
+    ) {
+      return { value: number };
+    }
+  } else if (type === "boolean") {
+    if (value === "true" || value === "false") {
+      return { value: value === "true" };
+    }
+  } else if (type === "string") {
+    if (typeof value === "number" || typeof value === "boolean") {
+      return { value: String(value) };
+    }
+  } else if (type === "object" || type === "array") {
+    if (typeof value === "string") {
+      try {
+        const parsed = JSON.parse(value);
+        if (hasType(parsed, type)) {
+          return { value: parsed };
+        }
+      } catch {
+        // not JSON
+      }
+    }
+    if (type === "array" && value !== null && typeof value !== "object") {
+      return { value: [value] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate (and coerce) a value against a JSON schema
+ * @param {JSON} schema JSON schema
+ * @param value JSON value
+ * @param {string} path value path (error messages)
+ * @param {[string]} errors validation errors (filled)
+ * @returns coerced value
+ */
+function validate(schema, value, path, errors) {
+  if (!schema || typeof schema !== "object") {
+    return value;
+  }
+  const name = path || "arguments";
+
+  const branches = schema.anyOf || schema.oneOf;
+  if (branches) {
+    for (const branch of branches) {
+      const branchErrors = [];
+      const result = validate(branch, value, path, branchErrors);
+      if (!branchErrors.length) {
+        return result;
+      }
+    }
+    errors.push(`${name} doesn't match any of its allowed schemas`);
+    return value;
+  }
+
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (types.length && !types.some((type) => hasType(value, type))) {
+    const coerced = types.map((type) => coerce(value, type)).find(Boolean);
+    if (!coerced) {
+      errors.push(
+        `${name} must be ${types.join(" or ")}, got ${describe(value)}`
+      );
+      return value;
+    }
+    value = coerced.value;
+  }
+
+  const same = (item) => JSON.stringify(item) === JSON.stringify(value);
+  if (schema.enum && !schema.enum.some(same)) {
+    errors.push(
+      `${name} must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}, got ${describe(value)}`
+    );
+  }
+  if ("const" in schema && !same(schema.const)) {
+    errors.push(`${name} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  switch (typeOf(value)) {
+    case "object":
+      return validateObject(schema, value, path, errors);
+    case "array":
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${name} needs at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${name} takes at most ${schema.maxItems} items`);
+      }
+      return value.map((item, index) =>
+        validate(schema.items, item, `${name}[${index}]`, errors)
+      );
+    case "string":
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${name} needs at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${name} takes at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !matches(schema.pattern, value)) {
+        errors.push(`${name} must match /${schema.pattern}/`);
+      }
+      return value;
+    case "integer":
+    case "number":
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${name} must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${name} must be <= ${schema.maximum}`);
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate (and coerce) the properties of an object
+ * an optional property set to null is dropped (unless null is allowed)
+ * @param {JSON} schema object JSON schema
+ * @param {JSON} value object
+ * @param {string} path object path
+ * @param {[string]} errors validation errors (filled)
+ * @returns {JSON} coerced object
+ */
+function validateObject(schema, value, path, errors) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const itemPath = path ? `${path}.${key}` : key;
+    if (Object.hasOwn(properties, key)) {
+      if (
+        item === null &&
+        !required.includes(key) &&
+        !allowsNull(properties[key])
+      ) {
+        continue;
+      }
+      result[key] = validate(properties[key], item, itemPath, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push(
+        `${itemPath} is not a known argument (${Object.keys(properties).join(", ") || "none"})`
+      );
+    } else {
+      result[key] = validate(
+        schema.additionalProperties,
+        item,
+        itemPath,
+        errors
+      );
+    }
+  }
+  for (const key of required) {
+    if (result[key] === undefined && value[key] === undefined) {
+      errors.push(`${path ? `${path}.${key}` : key} is required`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Check if a schema allows null
+ * @param {JSON} schema JSON schema
+ * @returns {boolean} true if null is valid
+ */
+function allowsNull(schema) {
+  const errors = [];
+  validate(schema, null, "", errors);
+  return !errors.length;
+}
+
+/**
+ * Validate tool call arguments against the tool input schema
+ * the safe coercions are applied (see coerce()), the small models often
+ * send numbers as strings or objects as JSON strings
+ * @param {JSON} schema tool input schema (JSON schema)
+ * @param {JSON} args tool call arguments
+ * @returns {JSON} { value, errors } coerced arguments, and the validation
+ *   errors (empty when valid)
+ * @example
+ *   validateArguments(
+ *     { type: "object", properties: { stepSeconds: { type: "integer" } }, required: ["expr"] },
+ *     { stepSeconds: "60" }
+ *   )
+ *   // { value: { stepSeconds: 60 }, errors: ["expr is required"] }
+ */
+export function validateArguments(schema, args) {
+  const errors = [];
+  const value = validate({ type: "object", ...schema }, args ?? {}, "", errors);
+  return { value, errors };
+}
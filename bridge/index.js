@@ -7,12 +7,57 @@ app.use(express.json());
 app.post(
   "/v1/chat/completions",
   bridge.tracer.middleware("chatCompletionsEndpoint"),
-  bridge.authMiddleware,
+  bridge.auth("chat"),
   function chatCompletionsEndpoint(req, res) {
     bridge.handleChat(req, res);
   }
 );
 
+app.post(
+  "/v1/completions",
+  bridge.tracer.middleware("completionsEndpoint"),
+  bridge.auth("chat"),
+  function completionsEndpoint(req, res) {
+    bridge.handleCompletion(req, res);
+  }
+);
+
+app.post(
+  "/v1/embeddings",
+  bridge.tracer.middleware("embeddingsEndpoint"),
+  bridge.auth("embeddings"),
+  function embeddingsEndpoint(req, res) {
+    bridge.handleEmbeddings(req, res);
+  }
+);
+
+app.get(
+  "/v1/models",
+  bridge.tracer.middleware("modelsEndpoint"),
+  bridge.auth(),
+  function modelsEndpoint(req, res) {
+    bridge.handleModels(req, res);
+  }
+);
+
+app.get(
+  "/v1/models/:id(*)",
+  bridge.tracer.middleware("modelEndpoint"),
+  bridge.auth(),
+  function modelEndpoint(req, res) {
+    bridge.handleModel(req, res);
+  }
+);
+
+app.get(
+  "/admin/clients",
+  bridge.tracer.middleware("clientsEndpoint"),
+  bridge.auth("admin"),
+  function clientsEndpoint(req, res) {
+    bridge.handleClients(req, res);
+  }
+);
+
 app.get(
   "/health",
   //bridge.tracer.middleware("healthEndpoint"),
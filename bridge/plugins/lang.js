@@ -0,0 +1,20 @@
+/**
+ * #lang:<language> directive plugin (example)
+ * answers in the requested language, ex: "#lang:fr what is this panel about?"
+ * LLM_BRIDGE_DIRECTIVE_PLUGINS=plugins/lang.js
+ * @param {DirectiveRegistry} registry chat directives registry
+ */
+export default function (registry) {
+  registry.register({
+    name: "lang",
+    usage: "#lang:<language>",
+    description: "answer in another language (ex: #lang:fr)",
+    value: "required",
+    handler: (helper, language) => {
+      helper.prompt.messages.push({
+        role: "system",
+        content: `Answer in the language of this code or name: ${language}.`,
+      });
+    },
+  });
+}
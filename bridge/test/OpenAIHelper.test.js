@@ -0,0 +1,232 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import { OpenAIError } from "../helpers/OpenAIError.js";
+import { OpenAIHelper } from "../helpers/OpenAIHelper.js";
+
+const MODEL = "stub-model";
+
+/**
+ * Stub OpenAI compatible server
+ * chat completions (plain and SSE stream) and embeddings, requests are kept
+ */
+function createStubServer() {
+  const stub = { requests: [] };
+
+  const reply = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const chatCompletion = (res, body) => {
+    reply(res, 200, {
+      id: "chatcmpl-stub",
+      object: "chat.completion",
+      model: body.model,
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: "assistant",
+            content: "Hello from the stub",
+            reasoning_content: "Greeting the user",
+          },
+          finish_reason: body.max_tokens ? "length" : "stop",
+        },
+      ],
+      usage: { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 },
+    });
+  };
+
+  const chatStream = (res, body) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    const chunk = (delta, finishReason = null) => ({
+      id: "chatcmpl-stub",
+      object: "chat.completion.chunk",
+      model: body.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    });
+    send(chunk({ role: "assistant", reasoning_content: "Thinking" }));
+    send(chunk({ content: "Hello" }));
+    send(chunk({ content: " world" }));
+    send(
+      chunk({
+        tool_calls: [
+          {
+            index: 0,
+            id: "call_1",
+            type: "function",
+            function: { name: "get_time", arguments: '{"city":' },
+          },
+        ],
+      })
+    );
+    send(
+      chunk({ tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] })
+    );
+    send(chunk({}, "tool_calls"));
+    send({
+      id: "chatcmpl-stub",
+      object: "chat.completion.chunk",
+      model: body.model,
+      choices: [],
+      usage: { prompt_tokens: 6, completion_tokens: 3, total_tokens: 9 },
+    });
+    res.end("data: [DONE]\n\n");
+  };
+
+  const embeddings = (res, body) => {
+    const inputs = Array.isArray(body.input) ? body.input : [body.input];
+    reply(res, 200, {
+      object: "list",
+      model: body.model,
+      // reversed on purpose, the helper sorts by index
+      data: inputs
+        .map((input, index) => ({
+          object: "embedding",
+          index,
+          embedding: [index, input.length, 0.5],
+        }))
+        .reverse(),
+      usage: { prompt_tokens: inputs.length * 2, total_tokens: 0 },
+    });
+  };
+
+  stub.server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (data) => (raw += data));
+    req.on("end", () => {
+      const body = raw ? JSON.parse(raw) : {};
+      stub.requests.push({ url: req.url, headers: req.headers, body });
+      if (body.model === "missing") {
+        return reply(res, 404, {
+          error: {
+            message: "The model `missing` does not exist",
+            type: "invalid_request_error",
+            param: "model",
+            code: "model_not_found",
+          },
+        });
+      }
+      if (req.method === "POST" && req.url === "/v1/chat/completions") {
+        return body.stream ? chatStream(res, body) : chatCompletion(res, body);
+      }
+      if (req.method === "POST" && req.url === "/v1/embeddings") {
+        return embeddings(res, body);
+      }
+      reply(res, 404, {
+        error: { message: `Not found: ${req.url}`, type: "invalid_request" },
+      });
+    });
+  });
+  return stub;
+}
+
+describe("OpenAIHelper against a stub OpenAI compatible server", () => {
+  const stub = createStubServer();
+  let helper;
+
+  before(async () => {
+    await new Promise((resolve) => stub.server.listen(0, "127.0.0.1", resolve));
+    const { port } = stub.server.address();
+    helper = new OpenAIHelper({
+      name: "stub",
+      url: `http://127.0.0.1:${port}`,
+      apiKey: "stub-key",
+      logLevel: "error",
+    });
+  });
+
+  after(() => new Promise((resolve) => stub.server.close(resolve)));
+
+  it("translates a chat answer", async () => {
+    const response = await helper.chat({
+      model: MODEL,
+      messages: [{ role: "user", content: "Hello" }],
+      options: { temperature: 0.2, num_predict: 16 },
+    });
+
+    const { url, headers, body } = stub.requests.at(-1);
+    assert.equal(url, "/v1/chat/completions");
+    assert.equal(headers.authorization, "Bearer stub-key");
+    assert.equal(body.stream, false);
+    assert.equal(body.temperature, 0.2);
+    assert.equal(body.max_tokens, 16);
+
+    assert.equal(response.model, MODEL);
+    assert.equal(response.done, true);
+    assert.equal(response.done_reason, "length");
+    assert.equal(response.message.role, "assistant");
+    assert.equal(response.message.content, "Hello from the stub");
+    assert.equal(response.message.thinking, "Greeting the user");
+    assert.equal(response.prompt_eval_count, 5);
+    assert.equal(response.eval_count, 4);
+  });
+
+  it("translates a streamed chat answer", async () => {
+    const chunks = [];
+    const stream = await helper.chat({
+      model: MODEL,
+      messages: [{ role: "user", content: "Hello" }],
+      stream: true,
+    });
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    const { body } = stub.requests.at(-1);
+    assert.equal(body.stream, true);
+    assert.deepEqual(body.stream_options, { include_usage: true });
+
+    const content = chunks.map((chunk) => chunk.message.content).join("");
+    const thinking = chunks.map((chunk) => chunk.message.thinking || "");
+    assert.equal(content, "Hello world");
+    assert.equal(thinking.join(""), "Thinking");
+
+    const toolCalls = chunks.flatMap((chunk) => chunk.message.tool_calls || []);
+    assert.equal(toolCalls.length, 1);
+    assert.equal(toolCalls[0].function.name, "get_time");
+    assert.deepEqual(toolCalls[0].function.arguments, { city: "Paris" });
+
+    const last = chunks.at(-1);
+    assert.equal(last.done, true);
+    assert.equal(last.done_reason, "stop");
+    assert.equal(last.prompt_eval_count, 6);
+    assert.equal(last.eval_count, 3);
+    assert.equal(chunks.filter((chunk) => chunk.done).length, 1);
+  });
+
+  it("translates embeddings", async () => {
+    const response = await helper.embed({
+      model: MODEL,
+      input: ["first", "second input"],
+    });
+
+    const { url, body } = stub.requests.at(-1);
+    assert.equal(url, "/v1/embeddings");
+    assert.equal(body.encoding_format, "float");
+
+    assert.deepEqual(response.embeddings, [
+      [0, 5, 0.5],
+      [1, 12, 0.5],
+    ]);
+    assert.equal(response.prompt_eval_count, 4);
+  });
+
+  it("throws client errors as OpenAI errors", async () => {
+    await assert.rejects(
+      helper.chat({
+        model: "missing",
+        messages: [{ role: "user", content: "Hello" }],
+      }),
+      (err) => {
+        assert.ok(err instanceof OpenAIError);
+        assert.equal(err.status, 404);
+        assert.equal(err.code, "model_not_found");
+        assert.equal(err.message, "[stub] The model `missing` does not exist");
+        return true;
+      }
+    );
+  });
+});